@@ -24,6 +24,9 @@ async function initializeServices() {
     await db.initialize();
     console.log('✅ Database ready');
 
+    // Exact / prefix lookups are served from memory from here on
+    await db.loadHotIndex();
+
     // Initialize Shopify service (if credentials available)
     const shop = process.env.SHOPIFY_SHOP;
     const accessToken = process.env.SHOPIFY_ACCESS_TOKEN;
@@ -38,6 +41,10 @@ async function initializeServices() {
     // Pass dependencies to routes
     const searchRoutes = require('./routes/search');
     const syncRoutes = require('./routes/sync');
+    const settingsRoutes = require('./routes/settings');
+    const aliasRoutes = require('./routes/aliases');
+    const analyticsRoutes = require('./routes/analytics');
+    const ruleRoutes = require('./routes/rules');
 
     if (searchRoutes.setDatabase) {
       searchRoutes.setDatabase(db);
@@ -47,6 +54,22 @@ async function initializeServices() {
       syncRoutes.setDatabase(db);
     }
 
+    if (settingsRoutes.setDatabase) {
+      settingsRoutes.setDatabase(db);
+    }
+
+    if (aliasRoutes.setDatabase) {
+      aliasRoutes.setDatabase(db);
+    }
+
+    if (analyticsRoutes.setDatabase) {
+      analyticsRoutes.setDatabase(db);
+    }
+
+    if (ruleRoutes.setDatabase) {
+      ruleRoutes.setDatabase(db);
+    }
+
     if (syncRoutes.setShopifyService && shopifyService) {
       syncRoutes.setShopifyService(shopifyService);
     }
@@ -98,7 +121,9 @@ app.use(cors({
 
     callback(new Error('Not allowed by CORS'));
   },
-  credentials: true
+  credentials: true,
+  // Lets the storefront read search rule redirects
+  exposedHeaders: ['X-Search-Redirect']
 }));
 
 // Trust proxy for rate limiting
@@ -111,6 +136,13 @@ const searchLimiter = rateLimit({
   message: { error: 'Too many requests' }
 });
 
+// Rate limiting for click beacons (one per picked suggestion)
+const clickLimiter = rateLimit({
+  windowMs: 1 * 60 * 1000, // 1 minute
+  max: 30, // 30 clicks per minute per IP
+  message: { error: 'Too many requests' }
+});
+
 // Rate limiting for sync endpoints (restrictive)
 const syncLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -122,12 +154,17 @@ const syncLimiter = rateLimit({
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
+// Hosted storefront script (ahead of static files, which would serve the
+// same build output without its caching and cross-origin headers)
+app.use('/storefront', require('./routes/storefront'));
+
 // Serve frontend static files
 app.use(express.static(path.join(__dirname, 'frontend', 'dist')));
 
 // ========== ROUTES ==========
 
 // Search API (the sidecar endpoint)
+app.use('/api/search/click', clickLimiter);
 app.use('/api/search', searchLimiter, require('./routes/search'));
 
 // Sync API (admin only)
@@ -137,23 +174,16 @@ app.use('/api/sync', syncLimiter, require('./routes/sync'));
 app.use('/api/auth', require('./routes/auth'));
 
 // Settings API
-app.get('/api/settings', async (req, res) => {
-  if (!db) {
-    return res.status(500).json({ error: 'Database not available' });
-  }
-  
-  try {
-    const settings = await db.getAllSettings();
-    res.json({
-      metafieldNamespace: process.env.MPN_METAFIELD_NAMESPACE || 'custom',
-      metafieldKey: process.env.MPN_METAFIELD_KEY || 'manufacturer_item_number',
-      shop: process.env.SHOPIFY_SHOP || null,
-      ...settings
-    });
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to get settings' });
-  }
-});
+app.use('/api/settings', require('./routes/settings'));
+
+// MPN Aliases API (admin only)
+app.use('/api/aliases', require('./routes/aliases'));
+
+// Search Analytics API (admin only)
+app.use('/api/analytics', require('./routes/analytics'));
+
+// Search Rules API (admin only)
+app.use('/api/rules', require('./routes/rules'));
 
 // Health check
 app.get('/health', async (req, res) => {
@@ -2,287 +2,2835 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
+const { AsyncLocalStorage } = require('async_hooks');
+const MpnNormalizer = require('../services/mpnNormalizer');
+const HotIndex = require('../services/hotIndex');
+
+// Lookalike characters folded to a canonical digit for fuzzy matching
+const LOOKALIKE_MAP = { O: '0', I: '1', L: '1', S: '5', B: '8' };
+
+// Upper bound on rows checked with editDistance per fuzzy search
+const FUZZY_CANDIDATE_LIMIT = 500;
+
+// Fields the search endpoint can match on
+const SEARCH_FIELDS = ['mpn', 'sku', 'barcode'];
+
+// Values returned for settings that have never been saved
+const SETTING_DEFAULTS = {
+  searchFields: SEARCH_FIELDS,
+  normalizationRules: [],
+  mpnHistoryRetentionDays: 365,
+  analyticsSampleRate: 1,
+  analyticsRetentionDays: 90,
+  rankingWeights: {
+    matchType: 100,
+    inStock: 10,
+    published: 5,
+    recency: 1
+  },
+  // Shopify's start time (ISO) for the bulk export of the last successful
+  // full or incremental sync; the next incremental sync fetches products
+  // updated after it
+  syncCursor: null
+};
+
+// Settings that change which variants a search returns or how they rank;
+// saving one of these invalidates cached search responses
+const SEARCH_SETTINGS = ['searchFields', 'normalizationRules', 'mpnHistoryRetentionDays', 'rankingWeights'];
+
+// Columns returned by every search query
+const SEARCH_COLUMN_NAMES = [
+  'variant_id',
+  'product_id',
+  'product_handle',
+  'product_title',
+  'variant_title',
+  'image_url',
+  'mpn',
+  'sku',
+  'barcode',
+  'vendor',
+  'manufacturer',
+  'price',
+  'available_for_sale',
+  'inventory_quantity',
+  'product_status',
+  'published_at',
+  'product_created_at'
+];
+const SEARCH_COLUMNS = SEARCH_COLUMN_NAMES.join(', ');
+
+// Same, qualified with the variant_lookups alias "v" for joins
+const SEARCH_COLUMNS_V = SEARCH_COLUMN_NAMES.map(column => `v.${column}`).join(', ');
+
+// variant_lookups columns written from a synced variant (all but id and timestamps)
+const VARIANT_COLUMN_NAMES = [
+  'variant_id',
+  'product_id',
+  'product_handle',
+  'product_title',
+  'variant_title',
+  'image_url',
+  'mpn',
+  'mpn_normalized',
+  'mpn_folded',
+  'sku',
+  'sku_normalized',
+  'barcode',
+  'barcode_normalized',
+  'vendor',
+  'manufacturer',
+  'manufacturer_normalized',
+  'price',
+  'available_for_sale',
+  'inventory_quantity',
+  'inventory_item_id',
+  'product_status',
+  'published_at',
+  'product_created_at'
+];
+const VARIANT_COLUMNS = VARIANT_COLUMN_NAMES.join(', ');
+
+// Insert or update a variant_lookups row from VARIANT_COLUMN_NAMES values
+const UPSERT_VARIANT_SQL = `
+  INSERT INTO variant_lookups (${VARIANT_COLUMNS}, updated_at)
+  VALUES (${VARIANT_COLUMN_NAMES.map(() => '?').join(', ')}, CURRENT_TIMESTAMP)
+  ON CONFLICT(variant_id) DO UPDATE SET
+    ${VARIANT_COLUMN_NAMES.slice(1).map(column => `${column} = excluded.${column}`).join(',\n    ')},
+    updated_at = CURRENT_TIMESTAMP
+`;
+
+// Same values into the full sync's staging table (a repeated variant
+// replaces the earlier values and keeps its rowid)
+const STAGE_VARIANT_SQL = `
+  INSERT INTO variant_lookups_staging (${VARIANT_COLUMNS})
+  VALUES (${VARIANT_COLUMN_NAMES.map(() => '?').join(', ')})
+  ON CONFLICT(variant_id) DO UPDATE SET
+    ${VARIANT_COLUMN_NAMES.slice(1).map(column => `${column} = excluded.${column}`).join(',\n    ')}
+`;
+
+// Statements writeVariant runs for every variant, prepared once per batch
+const WRITE_VARIANT_STATEMENTS = {
+  selectMpn: 'SELECT mpn FROM variant_lookups WHERE variant_id = ?',
+  upsert: UPSERT_VARIANT_SQL,
+  deleteTrigrams: 'DELETE FROM mpn_trigrams WHERE variant_id = ?',
+  deleteFuzzyTrigrams: 'DELETE FROM mpn_fuzzy_trigrams WHERE variant_id = ?',
+  insertTrigram: 'INSERT OR IGNORE INTO mpn_trigrams (trigram, variant_id) VALUES (?, ?)',
+  insertFuzzyTrigram: 'INSERT OR IGNORE INTO mpn_fuzzy_trigrams (trigram, variant_id) VALUES (?, ?)',
+  deleteText: 'DELETE FROM variant_fts WHERE rowid IN (SELECT id FROM variant_lookups WHERE variant_id = ?)',
+  insertText: `
+    INSERT INTO variant_fts (rowid, product_title, variant_title, mpn, mpn_normalized, sku)
+    SELECT id, product_title, variant_title, mpn, mpn_normalized, sku
+    FROM variant_lookups
+    WHERE variant_id = ?
+  `,
+  deleteHistory: 'DELETE FROM mpn_history WHERE variant_id = ? AND mpn_normalized = ?',
+  upsertHistory: `
+    INSERT INTO mpn_history (variant_id, mpn, mpn_normalized, replaced_at)
+    VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(variant_id, mpn_normalized) DO UPDATE SET
+      mpn = excluded.mpn,
+      replaced_at = CURRENT_TIMESTAMP
+  `
+};
+
+// Add an alias, or update the type and source of an existing one
+const UPSERT_ALIAS_SQL = `
+  INSERT INTO mpn_aliases (variant_id, alias, alias_normalized, alias_type, source)
+  VALUES (?, ?, ?, ?, ?)
+  ON CONFLICT(variant_id, alias_normalized) DO UPDATE SET
+    alias = excluded.alias,
+    alias_type = excluded.alias_type,
+    source = excluded.source,
+    updated_at = CURRENT_TIMESTAMP
+`;
+
+// Live tables a full sync rebuilds into <table>_staging before swapping in
+const STAGED_TABLES = ['variant_lookups', 'mpn_trigrams', 'mpn_fuzzy_trigrams', 'variant_fts'];
+
+// Full-text index columns and tokenizer (variant_fts and its staging copy)
+const TEXT_INDEX_DEFINITION = `fts5(
+  product_title,
+  variant_title,
+  mpn,
+  mpn_normalized,
+  sku,
+  tokenize = 'unicode61 remove_diacritics 2'
+)`;
+
+// Extra variant_lookups columns the hot index needs for keys and filters
+const HOT_KEY_COLUMNS = ['mpn_normalized', 'sku_normalized', 'barcode_normalized', 'manufacturer_normalized'];
+
+// Kinds of cross-reference numbers in mpn_aliases
+const ALIAS_TYPES = ['alternate', 'legacy', 'competitor'];
+
+// How a search rule's query is compared with the search term:
+//   exact      - same text, ignoring case and repeated spaces
+//   normalized - same normalized MPN ("7665-pp" = "7665PP")
+const RULE_MATCH_TYPES = ['exact', 'normalized'];
+
+// bm25() column weights for variant_fts:
+// product_title, variant_title, mpn, mpn_normalized, sku
+const TEXT_RANK_WEIGHTS = [1.0, 1.0, 5.0, 5.0, 3.0];
+
+// Match component of the relevance score, per match type (0-1).
+// Text hits use their bm25 relative to the best hit instead, fuzzy hits
+// are divided by 1 + distance.
+const MATCH_SCORES = { exact: 1.0, prefix: 0.5, contains: 0.25, fuzzy: 0.2 };
+
+// Variants the storefront may show: product active and published to the
+// Online Store. Rows indexed before status was tracked (NULL) stay visible
+// until the next sync records it.
+const VISIBLE_CONDITION = "(product_status IS NULL OR (product_status = 'ACTIVE' AND published_at IS NOT NULL))";
+
+// Products this many days old get half the recency component
+const RECENCY_HALF_LIFE_DAYS = 365;
+
+// Longest search term stored in the analytics log
+const MAX_LOGGED_TERM_LENGTH = 200;
+
+// While logging, expired analytics rows are deleted and the popularity
+// snapshot is retaken at most this often
+const ANALYTICS_PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// strftime() formats for the latency-over-time buckets
+const ANALYTICS_INTERVALS = { hour: '%Y-%m-%d %H:00', day: '%Y-%m-%d' };
+
+// p50 / p95 / p99 latency (nearest rank) over rows numbered by a
+// ROW_NUMBER() "position" in ascending latency_ms order out of "total".
+// (p * total + 99) / 100 is CEIL(p / 100 * total) in integer arithmetic.
+const LATENCY_PERCENTILE_COLUMNS = [50, 95, 99]
+  .map(p => `MAX(CASE WHEN position = (${p} * total + 99) / 100 THEN latency_ms END) as p${p}_ms`)
+  .join(',\n        ');
 
 class DatabaseManager {
   constructor() {
     this.dbPath = path.join(__dirname, '..', 'data', 'mpn_search.db');
     this.db = null;
+    // Writes wait here for the previous write or open transaction (see enqueueWrite)
+    this.writeQueue = Promise.resolve();
+    this.transactionScope = new AsyncLocalStorage();
+    this.normalizer = new MpnNormalizer();
+    // Rules a running rebuildNormalizedMpns moves the index to (see normalizeStoredMpn)
+    this.pendingNormalizer = null;
+    this.historyRetentionDays = SETTING_DEFAULTS.mpnHistoryRetentionDays;
+    this.rankingWeights = SETTING_DEFAULTS.rankingWeights;
+    this.hotIndex = new HotIndex();
+    this.indexVersion = 0;
+    this.analyticsSampleRate = SETTING_DEFAULTS.analyticsSampleRate;
+    this.analyticsRetentionDays = SETTING_DEFAULTS.analyticsRetentionDays;
+    this.analyticsPrunedAt = 0;
+    this.popularity = new Map();
+    this.searchRules = [];
+  }
+
+  async initialize() {
+    return new Promise((resolve, reject) => {
+      // Ensure data directory exists
+      const dataDir = path.dirname(this.dbPath);
+      if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+      }
+
+      this.db = new sqlite3.Database(this.dbPath, (err) => {
+        if (err) {
+          console.error('❌ Failed to connect to SQLite database:', err.message);
+          reject(err);
+        } else {
+          console.log('✅ Connected to SQLite database:', this.dbPath);
+          this.enableWal()
+            .then(() => this.createTables())
+            .then(() => this.runMigrations())
+            .then(() => this.loadNormalizationRules())
+            .then(() => this.loadHistoryRetention())
+            .then(() => this.loadRankingWeights())
+            .then(() => this.loadIndexVersion())
+            .then(() => this.loadAnalyticsSettings())
+            .then(() => this.loadSearchRules())
+            .then(() => {
+              console.log('✅ Database tables initialized');
+              resolve();
+            })
+            .catch(reject);
+        }
+      });
+    });
+  }
+
+  /**
+   * Write-ahead logging: commits append to the log instead of rewriting
+   * pages, and readers on other connections (the sqlite3 shell, backups)
+   * aren't blocked while the server writes. synchronous = NORMAL is the
+   * usual WAL pairing (the database stays consistent; a power loss can
+   * drop the last commits).
+   */
+  async enableWal() {
+    const { journal_mode } = await this.get('PRAGMA journal_mode = WAL');
+    await this.run('PRAGMA synchronous = NORMAL');
+    console.log(`✅ SQLite journal mode: ${journal_mode}`);
+  }
+
+  async createTables() {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        -- Variant Lookups Table (MPN search index)
+        CREATE TABLE IF NOT EXISTS variant_lookups (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          variant_id TEXT NOT NULL UNIQUE,
+          product_id TEXT NOT NULL,
+          product_handle TEXT NOT NULL,
+          product_title TEXT NOT NULL,
+          variant_title TEXT,
+          image_url TEXT,
+          mpn TEXT,
+          mpn_normalized TEXT,
+          mpn_folded TEXT,
+          sku TEXT,
+          sku_normalized TEXT,
+          barcode TEXT,
+          barcode_normalized TEXT,
+          vendor TEXT,
+          manufacturer TEXT,
+          manufacturer_normalized TEXT,
+          price TEXT,
+          available_for_sale INTEGER,
+          inventory_quantity INTEGER,
+          inventory_item_id TEXT,
+          product_status TEXT,
+          published_at DATETIME,
+          product_created_at DATETIME,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        -- Sync Status Table (track sync jobs)
+        CREATE TABLE IF NOT EXISTS sync_status (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          shop TEXT NOT NULL,
+          sync_type TEXT NOT NULL,
+          status TEXT NOT NULL,
+          total_variants INTEGER DEFAULT 0,
+          processed_variants INTEGER DEFAULT 0,
+          indexed_variants INTEGER DEFAULT 0,
+          bytes_downloaded INTEGER DEFAULT 0,
+          bytes_total INTEGER,
+          lines_processed INTEGER DEFAULT 0,
+          rows_per_second REAL,
+          error_message TEXT,
+          started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          completed_at DATETIME
+        );
+
+        -- Settings Table
+        CREATE TABLE IF NOT EXISTS settings (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          setting_key TEXT NOT NULL UNIQUE,
+          setting_value TEXT NOT NULL,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        -- Indexes for fast MPN lookup
+        CREATE INDEX IF NOT EXISTS idx_variant_lookups_mpn ON variant_lookups(mpn);
+        CREATE INDEX IF NOT EXISTS idx_variant_lookups_mpn_normalized ON variant_lookups(mpn_normalized);
+        CREATE INDEX IF NOT EXISTS idx_variant_lookups_product_id ON variant_lookups(product_id);
+        CREATE INDEX IF NOT EXISTS idx_variant_lookups_sku ON variant_lookups(sku);
+        CREATE INDEX IF NOT EXISTS idx_sync_status_shop ON sync_status(shop);
+
+        -- MPN Trigrams Table (n-gram index for contains matching)
+        CREATE TABLE IF NOT EXISTS mpn_trigrams (
+          trigram TEXT NOT NULL,
+          variant_id TEXT NOT NULL,
+          PRIMARY KEY (trigram, variant_id)
+        ) WITHOUT ROWID;
+
+        CREATE INDEX IF NOT EXISTS idx_mpn_trigrams_variant_id ON mpn_trigrams(variant_id);
+
+        -- Fuzzy Trigrams Table (n-gram index over lookalike-folded MPNs)
+        CREATE TABLE IF NOT EXISTS mpn_fuzzy_trigrams (
+          trigram TEXT NOT NULL,
+          variant_id TEXT NOT NULL,
+          PRIMARY KEY (trigram, variant_id)
+        ) WITHOUT ROWID;
+
+        CREATE INDEX IF NOT EXISTS idx_mpn_fuzzy_trigrams_variant_id ON mpn_fuzzy_trigrams(variant_id);
+
+        -- MPN Aliases Table (alternate / legacy / competitor numbers -> variant)
+        -- Admin-managed, so it survives clearIndex and full syncs
+        CREATE TABLE IF NOT EXISTS mpn_aliases (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          variant_id TEXT NOT NULL,
+          alias TEXT NOT NULL,
+          alias_normalized TEXT NOT NULL,
+          alias_type TEXT NOT NULL DEFAULT 'alternate',
+          source TEXT NOT NULL DEFAULT 'manual',
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (variant_id, alias_normalized)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_mpn_aliases_alias_normalized ON mpn_aliases(alias_normalized);
+
+        -- MPN History Table (previous MPNs of a variant, searchable until they expire)
+        -- Survives clearIndex and full syncs
+        CREATE TABLE IF NOT EXISTS mpn_history (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          variant_id TEXT NOT NULL,
+          mpn TEXT NOT NULL,
+          mpn_normalized TEXT NOT NULL,
+          replaced_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (variant_id, mpn_normalized)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_mpn_history_mpn_normalized ON mpn_history(mpn_normalized);
+
+        -- Index Version (single row, bumped by every write that can change search results)
+        CREATE TABLE IF NOT EXISTS index_version (
+          id INTEGER PRIMARY KEY CHECK (id = 1),
+          version INTEGER NOT NULL DEFAULT 0
+        );
+
+        INSERT OR IGNORE INTO index_version (id, version) VALUES (1, 0);
+
+        -- Search Analytics (one row per sampled storefront search)
+        CREATE TABLE IF NOT EXISTS search_queries (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          term TEXT NOT NULL,
+          term_normalized TEXT NOT NULL,
+          mode TEXT,
+          result_count INTEGER NOT NULL,
+          latency_ms INTEGER NOT NULL,
+          origin TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_search_queries_created_at ON search_queries(created_at);
+
+        -- Search Clicks (suggestion picked by a shopper; every click is kept)
+        CREATE TABLE IF NOT EXISTS search_clicks (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          term TEXT NOT NULL,
+          term_normalized TEXT NOT NULL,
+          variant_id TEXT NOT NULL,
+          position INTEGER NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_search_clicks_created_at ON search_clicks(created_at);
+        CREATE INDEX IF NOT EXISTS idx_search_clicks_variant_id ON search_clicks(variant_id);
+
+        -- Search Rules (redirect a query or pin variants ahead of organic matches)
+        CREATE TABLE IF NOT EXISTS search_rules (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          query TEXT NOT NULL,
+          query_normalized TEXT,
+          match_type TEXT NOT NULL DEFAULT 'normalized',
+          redirect_url TEXT,
+          pinned_variant_ids TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        -- Full-text index (rowid = variant_lookups.id)
+        CREATE VIRTUAL TABLE IF NOT EXISTS variant_fts USING ${TEXT_INDEX_DEFINITION};
+      `;
+
+      this.exec(sql).then(resolve, reject);
+    });
+  }
+
+  /**
+   * Apply pending migrations, tracked via PRAGMA user_version
+   */
+  async runMigrations() {
+    console.log('🔄 Running database migrations...');
+
+    const migrations = [
+      {
+        version: 1,
+        description: 'Backfill MPN trigram index',
+        up: () => this.rebuildTrigramIndex()
+      },
+      {
+        version: 2,
+        description: 'Add lookalike-folded MPN column for fuzzy matching',
+        up: async () => {
+          await this.addColumnIfMissing('variant_lookups', 'mpn_folded', 'TEXT');
+          await this.run('CREATE INDEX IF NOT EXISTS idx_variant_lookups_mpn_folded ON variant_lookups(mpn_folded)');
+
+          const rows = await this.all('SELECT variant_id, mpn_normalized FROM variant_lookups');
+          for (const row of rows) {
+            await this.run(
+              'UPDATE variant_lookups SET mpn_folded = ? WHERE variant_id = ?',
+              [this.foldMpn(row.mpn_normalized), row.variant_id]
+            );
+          }
+
+          await this.rebuildTrigramIndex();
+        }
+      },
+      {
+        version: 3,
+        description: 'Backfill full-text index',
+        up: () => this.rebuildTextIndex()
+      },
+      {
+        version: 4,
+        description: 'Add normalized SKU and barcode columns',
+        up: async () => {
+          await this.addColumnIfMissing('variant_lookups', 'sku_normalized', 'TEXT');
+          await this.addColumnIfMissing('variant_lookups', 'barcode', 'TEXT');
+          await this.addColumnIfMissing('variant_lookups', 'barcode_normalized', 'TEXT');
+          await this.run('CREATE INDEX IF NOT EXISTS idx_variant_lookups_sku_normalized ON variant_lookups(sku_normalized)');
+          await this.run('CREATE INDEX IF NOT EXISTS idx_variant_lookups_barcode_normalized ON variant_lookups(barcode_normalized)');
+
+          const rows = await this.all('SELECT variant_id, sku FROM variant_lookups WHERE sku IS NOT NULL');
+          for (const row of rows) {
+            await this.run(
+              'UPDATE variant_lookups SET sku_normalized = ? WHERE variant_id = ?',
+              [this.normalizeSku(row.sku), row.variant_id]
+            );
+          }
+        }
+      },
+      {
+        version: 5,
+        description: 'Add vendor and manufacturer columns',
+        up: async () => {
+          await this.addColumnIfMissing('variant_lookups', 'vendor', 'TEXT');
+          await this.addColumnIfMissing('variant_lookups', 'manufacturer', 'TEXT');
+          await this.addColumnIfMissing('variant_lookups', 'manufacturer_normalized', 'TEXT');
+          await this.run('CREATE INDEX IF NOT EXISTS idx_variant_lookups_manufacturer_normalized ON variant_lookups(manufacturer_normalized)');
+        }
+      },
+      {
+        version: 6,
+        description: 'Add availability and inventory columns',
+        up: async () => {
+          await this.addColumnIfMissing('variant_lookups', 'available_for_sale', 'INTEGER');
+          await this.addColumnIfMissing('variant_lookups', 'inventory_quantity', 'INTEGER');
+          await this.addColumnIfMissing('variant_lookups', 'inventory_item_id', 'TEXT');
+          await this.run('CREATE INDEX IF NOT EXISTS idx_variant_lookups_inventory_item_id ON variant_lookups(inventory_item_id)');
+        }
+      },
+      {
+        version: 7,
+        description: 'Add product status, publication and creation date columns',
+        up: async () => {
+          await this.addColumnIfMissing('variant_lookups', 'product_status', 'TEXT');
+          await this.addColumnIfMissing('variant_lookups', 'published_at', 'DATETIME');
+          await this.addColumnIfMissing('variant_lookups', 'product_created_at', 'DATETIME');
+        }
+      },
+      {
+        version: 8,
+        description: 'Add bulk download progress columns to sync jobs',
+        up: async () => {
+          await this.addColumnIfMissing('sync_status', 'bytes_downloaded', 'INTEGER DEFAULT 0');
+          await this.addColumnIfMissing('sync_status', 'bytes_total', 'INTEGER');
+          await this.addColumnIfMissing('sync_status', 'lines_processed', 'INTEGER DEFAULT 0');
+        }
+      },
+      {
+        version: 9,
+        description: 'Add write throughput to sync jobs',
+        up: () => this.addColumnIfMissing('sync_status', 'rows_per_second', 'REAL')
+      }
+    ];
+
+    const { user_version: currentVersion } = await this.get('PRAGMA user_version');
+
+    for (const migration of migrations) {
+      if (migration.version <= currentVersion) continue;
+
+      console.log(`🔄 Migration ${migration.version}: ${migration.description}`);
+      await migration.up();
+      await this.run(`PRAGMA user_version = ${migration.version}`);
+    }
+
+    console.log('✅ All migrations completed');
+  }
+
+  /**
+   * Add a column unless it already exists (fresh databases get it from createTables)
+   */
+  async addColumnIfMissing(table, column, definition) {
+    const columns = await this.all(`PRAGMA table_info(${table})`);
+    if (columns.some(c => c.name === column)) return;
+
+    await this.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+
+  // ========== QUERY HELPERS ==========
+
+  run(sql, params = []) {
+    return this.enqueueWrite(() => new Promise((resolve, reject) => {
+      this.db.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve({ id: this.lastID, changes: this.changes });
+      });
+    }));
+  }
+
+  get(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.get(sql, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+  }
+
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+  }
+
+  /**
+   * Run several statements as one call; no other query on the connection
+   * runs in between
+   */
+  exec(sql) {
+    return this.enqueueWrite(() => new Promise((resolve, reject) => {
+      this.db.exec(sql, (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    }));
+  }
+
+  /**
+   * Run work() inside BEGIN IMMEDIATE / COMMIT, rolling back if it throws
+   * Used for batch writes: one commit per batch instead of one per statement.
+   * The transaction holds the write queue until it ends, so writes from
+   * other requests wait instead of being committed or rolled back with it.
+   * A transaction started inside work() joins the open one.
+   */
+  transaction(work) {
+    if (this.transactionScope.getStore()) {
+      return work();
+    }
+
+    return this.enqueueWrite(() => this.transactionScope.run(true, async () => {
+      await this.run('BEGIN IMMEDIATE');
+
+      try {
+        const result = await work();
+        await this.run('COMMIT');
+        return result;
+      } catch (error) {
+        await this.run('ROLLBACK').catch(rollbackError => {
+          console.error('❌ Rollback failed:', rollbackError);
+        });
+        throw error;
+      }
+    }));
+  }
+
+  /**
+   * Run write() once the previous write has finished
+   * There is one connection, so a statement sent while another caller's
+   * transaction is open would become part of it. Statements from inside a
+   * transaction's work() run right away.
+   */
+  enqueueWrite(write) {
+    if (this.transactionScope.getStore()) {
+      return write();
+    }
+
+    const result = this.writeQueue.then(write);
+    this.writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Prepare statements ({ name: sql }), pass them to work() and finalize
+   * them afterwards, so a batch compiles each statement once
+   */
+  async withStatements(statements, work) {
+    const prepared = {};
+
+    try {
+      for (const [name, sql] of Object.entries(statements)) {
+        prepared[name] = await new Promise((resolve, reject) => {
+          const statement = this.db.prepare(sql, (err) => {
+            if (err) reject(err);
+            else resolve(statement);
+          });
+        });
+      }
+
+      return await work(prepared);
+    } finally {
+      for (const statement of Object.values(prepared)) {
+        await new Promise(resolve => statement.finalize(() => resolve()));
+      }
+    }
+  }
+
+  runStatement(statement, params = []) {
+    return this.enqueueWrite(() => new Promise((resolve, reject) => {
+      statement.run(params, function(err) {
+        if (err) reject(err);
+        else resolve({ id: this.lastID, changes: this.changes });
+      });
+    }));
+  }
+
+  getStatement(statement, params = []) {
+    return new Promise((resolve, reject) => {
+      statement.get(params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+  }
+
+  // ========== MPN NORMALIZATION ==========
+  
+  /**
+   * Normalize MPN for search matching
+   * Runs the admin-defined normalization rules, then strips all
+   * non-alphanumeric characters and uppercases
+   * "7665-PP" -> "7665PP"
+   * "ABC 123-X" -> "ABC123X"
+   */
+  normalizeMpn(mpn) {
+    return this.normalizer.normalize(mpn);
+  }
+
+  /**
+   * Normalize an MPN for writing to variant_lookups
+   * Same as normalizeMpn, except while a normalization rebuild runs: rows
+   * written meanwhile (e.g. by webhooks) get the rules it is moving to.
+   */
+  normalizeStoredMpn(mpn) {
+    return (this.pendingNormalizer || this.normalizer).normalize(mpn);
+  }
+
+  /**
+   * Load the normalization rules saved in settings
+   */
+  async loadNormalizationRules() {
+    const rules = await this.getSetting('normalizationRules');
+    this.normalizer = new MpnNormalizer(rules);
+    console.log(`✅ Loaded ${rules.length} MPN normalization rules`);
+  }
+
+  /**
+   * Save new normalization rules and start using them for queries
+   * (rebuildNormalizedMpns calls this once stored values match them)
+   */
+  async setNormalizationRules(rules) {
+    const normalizer = new MpnNormalizer(rules);
+    await this.setSetting('normalizationRules', rules);
+    this.normalizer = normalizer;
+  }
+
+  /**
+   * Recompute mpn_normalized / mpn_folded for every indexed variant with
+   * new rules, re-indexing trigrams and full text for rows that changed.
+   * The rules are saved and used for queries once every table is rewritten;
+   * variants written in the meantime already get them (normalizeStoredMpn).
+   */
+  async rebuildNormalizedMpns(rules, onProgress) {
+    const normalizer = new MpnNormalizer(rules);
+    const rows = await this.all('SELECT variant_id, mpn, mpn_normalized FROM variant_lookups');
+    let changed = 0;
+
+    this.pendingNormalizer = normalizer;
+
+    try {
+      for (let i = 0; i < rows.length; i++) {
+        const row = rows[i];
+        const normalized = normalizer.normalize(row.mpn);
+
+        if (normalized !== row.mpn_normalized && await this.renormalizeVariant(row, normalized)) {
+          changed++;
+        }
+
+        if (onProgress && ((i + 1) % 500 === 0 || i === rows.length - 1)) {
+          await onProgress(i + 1, rows.length, changed);
+        }
+      }
+
+      await this.renormalizeColumn(normalizer, 'mpn_aliases', 'alias', 'alias_normalized');
+      await this.renormalizeColumn(normalizer, 'mpn_history', 'mpn', 'mpn_normalized');
+      await this.renormalizeColumn(normalizer, 'search_rules', 'query', 'query_normalized');
+
+      await this.setNormalizationRules(rules);
+    } finally {
+      this.pendingNormalizer = null;
+    }
+
+    await this.loadSearchRules();
+
+    if (this.hotIndex.loaded) {
+      await this.loadHotIndex();
+    }
+
+    await this.bumpIndexVersion();
+    return { total: rows.length, changed };
+  }
+
+  /**
+   * Store a rebuilt mpn_normalized and re-index the variant, in one
+   * transaction. Returns false when the variant changed MPN or was deleted
+   * since the rebuild read it (that write used the new rules already).
+   */
+  async renormalizeVariant(row, normalized) {
+    return this.transaction(async () => {
+      const { changes } = await this.run(
+        'UPDATE variant_lookups SET mpn_normalized = ?, mpn_folded = ? WHERE variant_id = ? AND mpn IS ?',
+        [normalized, this.foldMpn(normalized), row.variant_id, row.mpn]
+      );
+      if (changes === 0) return false;
+
+      await this.indexTrigrams(row.variant_id, normalized);
+      await this.indexText(row.variant_id);
+      return true;
+    });
+  }
+
+  /**
+   * Re-normalize a (source, normalized) column pair with a normalizer
+   * Rows that would collide with an existing (variant_id, normalized) pair
+   * keep their old value (UPDATE OR IGNORE)
+   */
+  async renormalizeColumn(normalizer, table, sourceColumn, normalizedColumn) {
+    const rows = await this.all(`SELECT id, ${sourceColumn} AS value, ${normalizedColumn} AS normalized FROM ${table}`);
+
+    for (const row of rows) {
+      const normalized = normalizer.normalize(row.value);
+      if (normalized && normalized !== row.normalized) {
+        await this.run(
+          `UPDATE OR IGNORE ${table} SET ${normalizedColumn} = ? WHERE id = ?`,
+          [normalized, row.id]
+        );
+      }
+    }
+  }
+
+  /**
+   * Normalize SKU the same way as the base MPN form
+   * "ACM-7665-PP" -> "ACM7665PP"
+   */
+  normalizeSku(sku) {
+    if (!sku) return null;
+    return sku.replace(/[^A-Z0-9]/gi, '').toUpperCase() || null;
+  }
+
+  /**
+   * Normalize a GTIN/UPC/EAN barcode
+   * Keeps digits and drops leading zeros so UPC-A, EAN-13 and GTIN-14
+   * forms of the same code compare equal
+   * "0 12345 67890 5" -> "12345678905"
+   */
+  normalizeBarcode(barcode) {
+    if (!barcode) return null;
+    return barcode.replace(/\D/g, '').replace(/^0+/, '') || null;
+  }
+
+  /**
+   * Split a normalized MPN into its distinct trigrams
+   * "7665PP" -> ["766", "665", "65P", "5PP"]
+   */
+  buildTrigrams(normalized) {
+    if (!normalized || normalized.length < 3) return [];
+
+    const trigrams = new Set();
+    for (let i = 0; i <= normalized.length - 3; i++) {
+      trigrams.add(normalized.slice(i, i + 3));
+    }
+    return [...trigrams];
+  }
+
+  /**
+   * Normalize a vendor / manufacturer name for filtering
+   * "Acme Paints, Inc." -> "ACMEPAINTSINC"
+   */
+  normalizeVendor(vendor) {
+    if (!vendor) return null;
+    return vendor.replace(/[^\p{L}\p{N}]/gu, '').toUpperCase() || null;
+  }
+
+  // ========== FUZZY MATCHING ==========
+
+  /**
+   * Fold characters that are easily misread on worn labels
+   * O -> 0, I/L -> 1, S -> 5, B -> 8
+   * "B0S-1O" normalized "B0S1O" -> "80510"
+   */
+  foldMpn(normalized) {
+    if (!normalized) return null;
+    return normalized.replace(/[OILSB]/g, ch => LOOKALIKE_MAP[ch]);
+  }
+
+  /**
+   * Edit distance allowed for a folded term of the given length
+   * Short MPNs only tolerate lookalike confusion, longer ones a typo or two
+   */
+  defaultFuzzyDistance(length) {
+    if (length <= 3) return 0;
+    if (length <= 7) return 1;
+    return 2;
+  }
+
+  /**
+   * Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+   * Returns maxDistance + 1 as soon as the distance is known to exceed maxDistance
+   */
+  editDistance(a, b, maxDistance = Infinity) {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+    let prevPrev = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+
+        if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          value = Math.min(value, prevPrev[j - 2] + 1);
+        }
+
+        current.push(value);
+        rowMin = Math.min(rowMin, value);
+      }
+
+      if (rowMin > maxDistance) return maxDistance + 1;
+
+      prevPrev = prev;
+      prev = current;
+    }
+
+    return prev[b.length];
+  }
+
+  // ========== TRIGRAM INDEX ==========
+
+  /**
+   * Replace the trigram entries for a single variant
+   * (mpn_trigrams from the normalized MPN, mpn_fuzzy_trigrams from the folded one)
+   */
+  async indexTrigrams(variantId, normalized) {
+    await this.insertTrigrams('mpn_trigrams', variantId, this.buildTrigrams(normalized));
+    await this.insertTrigrams('mpn_fuzzy_trigrams', variantId, this.buildTrigrams(this.foldMpn(normalized)));
+  }
+
+  async insertTrigrams(table, variantId, trigrams) {
+    await this.run(`DELETE FROM ${table} WHERE variant_id = ?`, [variantId]);
+
+    if (trigrams.length === 0) return;
+
+    const placeholders = trigrams.map(() => '(?, ?)').join(', ');
+    const params = trigrams.flatMap(trigram => [trigram, variantId]);
+
+    await this.run(
+      `INSERT OR IGNORE INTO ${table} (trigram, variant_id) VALUES ${placeholders}`,
+      params
+    );
+  }
+
+  /**
+   * Remove trigram entries matching a variant_id condition
+   */
+  async deleteTrigrams(condition = '1 = 1', params = []) {
+    await this.run(`DELETE FROM mpn_trigrams WHERE ${condition}`, params);
+    await this.run(`DELETE FROM mpn_fuzzy_trigrams WHERE ${condition}`, params);
+  }
+
+  /**
+   * Rebuild both trigram indexes from variant_lookups
+   */
+  async rebuildTrigramIndex() {
+    await this.deleteTrigrams();
+
+    const rows = await this.all(
+      'SELECT variant_id, mpn_normalized FROM variant_lookups WHERE mpn_normalized IS NOT NULL'
+    );
+
+    for (const row of rows) {
+      await this.indexTrigrams(row.variant_id, row.mpn_normalized);
+    }
+
+    console.log(`✅ Trigram index rebuilt for ${rows.length} variants`);
+  }
+
+  // ========== FULL-TEXT INDEX ==========
+
+  /**
+   * Replace the full-text entry for a single variant from its variant_lookups row
+   */
+  async indexText(variantId) {
+    await this.deleteText('rowid IN (SELECT id FROM variant_lookups WHERE variant_id = ?)', [variantId]);
+    await this.run(`
+      INSERT INTO variant_fts (rowid, product_title, variant_title, mpn, mpn_normalized, sku)
+      SELECT id, product_title, variant_title, mpn, mpn_normalized, sku
+      FROM variant_lookups
+      WHERE variant_id = ?
+    `, [variantId]);
+  }
+
+  /**
+   * Remove full-text entries matching a rowid condition
+   */
+  async deleteText(condition = '1 = 1', params = []) {
+    await this.run(`DELETE FROM variant_fts WHERE ${condition}`, params);
+  }
+
+  /**
+   * Rebuild the full-text index from variant_lookups
+   */
+  async rebuildTextIndex() {
+    await this.deleteText();
+    const { changes } = await this.run(`
+      INSERT INTO variant_fts (rowid, product_title, variant_title, mpn, mpn_normalized, sku)
+      SELECT id, product_title, variant_title, mpn, mpn_normalized, sku
+      FROM variant_lookups
+    `);
+
+    console.log(`✅ Full-text index rebuilt for ${changes} variants`);
+  }
+
+  /**
+   * Turn free text into an FTS5 MATCH expression
+   * Every token is quoted and prefix-matched, all tokens are required
+   * "Cadmium red 7665-P" -> '"Cadmium"* "red"* "7665"* "P"*'
+   */
+  buildTextQuery(text) {
+    const tokens = (text || '').split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    return tokens.map(token => `"${token}"*`).join(' ');
+  }
+
+  // ========== RELEVANCE SCORING ==========
+
+  async loadRankingWeights() {
+    this.rankingWeights = await this.getSetting('rankingWeights');
+  }
+
+  async setRankingWeights(weights) {
+    await this.setSetting('rankingWeights', weights);
+    this.rankingWeights = weights;
+  }
+
+  /**
+   * SELECT list for the 0-1 score components of a variant_lookups row
+   * matchSql is the SQL expression for the match component
+   */
+  buildScoreColumns(matchSql) {
+    return `
+      ${matchSql} AS match_score,
+      CASE WHEN available_for_sale = 1 THEN 1 ELSE 0 END AS in_stock_score,
+      CASE WHEN product_status = 'ACTIVE' AND published_at IS NOT NULL THEN 1 ELSE 0 END AS published_score,
+      COALESCE(
+        1.0 / (1 + MAX(julianday('now') - julianday(product_created_at), 0) / ${RECENCY_HALF_LIFE_DAYS}),
+        0
+      ) AS recency_score
+    `;
+  }
+
+  /**
+   * Wrap a search query so every row gets its score components and
+   *
+   *   score = matchType * match + inStock * in_stock + published * published + recency * recency
+   *
+   * with the weights from the rankingWeights setting. The inner query must
+   * return the SEARCH_COLUMNS; the caller adds ORDER BY / LIMIT.
+   */
+  buildScoredQuery(innerSql, matchSql) {
+    const w = this.rankingWeights;
+
+    return `
+      SELECT *,
+        ${Number(w.matchType)} * match_score +
+        ${Number(w.inStock)} * in_stock_score +
+        ${Number(w.published)} * published_score +
+        ${Number(w.recency)} * recency_score AS score
+      FROM (
+        SELECT *, ${this.buildScoreColumns(matchSql)}
+        FROM (${innerSql})
+      )
+    `;
+  }
+
+  /**
+   * Same as buildScoredQuery, for rows scored in JavaScript
+   */
+  applyScore(row) {
+    const w = this.rankingWeights;
+
+    return {
+      ...row,
+      score: w.matchType * row.match_score +
+        w.inStock * row.in_stock_score +
+        w.published * row.published_score +
+        w.recency * row.recency_score
+    };
+  }
+
+  /**
+   * Weighted score components of a scored row, for explaining the ranking
+   */
+  explainScore(row) {
+    const w = this.rankingWeights;
+    const round = value => Math.round(value * 100) / 100;
+
+    return {
+      matchType: round(w.matchType * (row.match_score ?? 0)),
+      inStock: round(w.inStock * (row.in_stock_score ?? 0)),
+      published: round(w.published * (row.published_score ?? 0)),
+      recency: round(w.recency * (row.recency_score ?? 0))
+    };
+  }
+
+  // ========== VARIANT LOOKUPS (MPN INDEX) ==========
+
+  /**
+   * Whether a synced variant has anything to match on: an MPN, SKU or
+   * barcode. Variants with none of them are left out of the index.
+   */
+  isSearchable(variant) {
+    return Boolean(
+      this.normalizeStoredMpn(variant.mpn) ||
+      this.normalizeSku(variant.sku) ||
+      this.normalizeBarcode(variant.barcode)
+    );
+  }
+
+  /**
+   * variant_lookups values (VARIANT_COLUMN_NAMES) for a synced variant,
+   * with the normalized MPN, SKU, barcode and manufacturer filled in
+   */
+  buildVariantRow(variant) {
+    const mpn_normalized = this.normalizeStoredMpn(variant.mpn);
+
+    return {
+      ...variant,
+      mpn_normalized,
+      mpn_folded: this.foldMpn(mpn_normalized),
+      sku_normalized: this.normalizeSku(variant.sku),
+      barcode: variant.barcode || null,
+      barcode_normalized: this.normalizeBarcode(variant.barcode),
+      vendor: variant.vendor || null,
+      manufacturer: variant.manufacturer || null,
+      // The manufacturer metafield wins over the Shopify vendor when set
+      manufacturer_normalized: this.normalizeVendor(variant.manufacturer || variant.vendor),
+      available_for_sale: variant.available_for_sale == null ? null : (variant.available_for_sale ? 1 : 0),
+      inventory_quantity: variant.inventory_quantity ?? null,
+      inventory_item_id: variant.inventory_item_id || null,
+      product_status: variant.product_status || null,
+      published_at: variant.published_at || null,
+      product_created_at: variant.product_created_at || null
+    };
+  }
+
+  /**
+   * Upsert a variant into the search index
+   * A replaced MPN is kept in mpn_history.
+   */
+  async upsertVariant(variant) {
+    const row = this.buildVariantRow(variant);
+    const result = await this.transaction(() => this.withStatements(
+      WRITE_VARIANT_STATEMENTS,
+      (prepared) => this.writeVariant(row, prepared)
+    ));
+
+    await this.refreshHotVariant(row.variant_id);
+    await this.bumpIndexVersion();
+
+    return result;
+  }
+
+  /**
+   * Bulk upsert variants into the live index (incremental syncs)
+   * The batch is written in one transaction with reused prepared
+   * statements and rolled back as a whole on error; the hot index and
+   * index version are updated once it has committed.
+   */
+  async bulkUpsertVariants(variants) {
+    const rows = variants.filter(variant => this.isSearchable(variant)).map(variant => this.buildVariantRow(variant));
+
+    await this.transaction(() => this.withStatements(WRITE_VARIANT_STATEMENTS, async (prepared) => {
+      for (const row of rows) {
+        await this.writeVariant(row, prepared);
+      }
+    }));
+
+    for (const row of rows) {
+      await this.refreshHotVariant(row.variant_id);
+    }
+    if (rows.length > 0) {
+      await this.bumpIndexVersion();
+    }
+
+    return { indexed: rows.length, skipped: variants.length - rows.length };
+  }
+
+  /**
+   * Write one variant row with its trigrams, full-text entry and MPN
+   * history, using prepared WRITE_VARIANT_STATEMENTS (the same writes as
+   * indexTrigrams and indexText)
+   */
+  async writeVariant(row, prepared) {
+    const { variant_id, mpn_normalized } = row;
+
+    const existing = await this.getStatement(prepared.selectMpn, [variant_id]);
+    const previousMpn = existing ? existing.mpn : null;
+
+    const result = await this.runStatement(prepared.upsert, VARIANT_COLUMN_NAMES.map(column => row[column] ?? null));
+
+    await this.runStatement(prepared.deleteTrigrams, [variant_id]);
+    await this.runStatement(prepared.deleteFuzzyTrigrams, [variant_id]);
+    for (const trigram of this.buildTrigrams(mpn_normalized)) {
+      await this.runStatement(prepared.insertTrigram, [trigram, variant_id]);
+    }
+    for (const trigram of this.buildTrigrams(this.foldMpn(mpn_normalized))) {
+      await this.runStatement(prepared.insertFuzzyTrigram, [trigram, variant_id]);
+    }
+
+    await this.runStatement(prepared.deleteText, [variant_id]);
+    await this.runStatement(prepared.insertText, [variant_id]);
+
+    await this.recordMpnHistory(prepared, variant_id, previousMpn, mpn_normalized);
+
+    return result;
+  }
+
+  /**
+   * Search by MPN on the normalized value, optionally also by SKU and barcode
+   *
+   * Modes:
+   *   exact    - "7665PP" matches "7665-PP" only
+   *   prefix   - "7665" matches "7665-PP", "7665-PX"
+   *   contains - "665P" matches "7665-PP" (trigram index)
+   *
+   * options.fields selects what is matched: "mpn" (default), "sku", "barcode".
+   * SKUs match exactly, or by prefix in prefix/contains mode; barcodes
+   * match exactly on their normalized GTIN.
+   *
+   * options.vendor restricts matches to one manufacturer (see buildFilterClause).
+   *
+   * MPN search also resolves mpn_aliases (exact, or prefix in prefix/contains
+   * mode); those rows have matched_on "mpn" plus matched_alias and alias_type.
+   * Previous MPNs still within the retention period match the same way,
+   * with historical = 1 and the old MPN in matched_alias.
+   *
+   * Each row carries match_type ("exact" | "prefix" | "contains"),
+   * matched_on ("mpn" | "sku" | "barcode") and a relevance score (see
+   * buildScoredQuery). Rows are ordered by score, then MPN hits ahead of
+   * alias, SKU and barcode hits, then shortest match. A variant matching
+   * on several fields is returned once, for its best match.
+   *
+   * Exact and prefix searches are answered from the hot index once it is
+   * loaded (same rows, scores and order); contains mode uses SQLite.
+   */
+  async searchByMpn(searchTerm, limit = 10, options = {}) {
+    const { mode = 'exact', fields = ['mpn'] } = options;
+
+    if (this.hotIndex.loaded && mode !== 'contains') {
+      return this.searchHotIndex(searchTerm, limit, options);
+    }
+
+    if (this.hotIndex.loaded) {
+      this.hotIndex.record('fallback');
+    }
+
+    const queries = this.buildMpnQueries(searchTerm, mode, fields, this.buildFilterClause(options));
+
+    if (queries.length === 0) {
+      return [];
+    }
+
+    const matchScore = `CASE match_rank
+      WHEN 0 THEN ${MATCH_SCORES.exact}
+      WHEN 1 THEN ${MATCH_SCORES.prefix}
+      ELSE ${MATCH_SCORES.contains}
+    END`;
+
+    const rows = await this.all(`
+      ${this.buildScoredQuery(queries.map(q => q.sql).join(' UNION ALL '), matchScore)}
+      ORDER BY score DESC, field_rank, length(match_key), match_key, variant_id
+      LIMIT ?
+    `, [...queries.flatMap(q => q.params), limit * queries.length]);
+
+    const seen = new Set();
+    return rows
+      .filter(row => {
+        if (seen.has(row.variant_id)) return false;
+        seen.add(row.variant_id);
+        return true;
+      })
+      .slice(0, limit)
+      .map(({ match_rank, field_rank, match_key, ...row }) => row);
+  }
+
+  /**
+   * IDs of every variant a search matches, unranked and without a limit
+   * (the total of a paginated search). Same modes, fields and filters as
+   * searchByMpn, or searchText in "text" mode; options.fuzzy adds the
+   * searchFuzzy tier like the search route does.
+   */
+  async listMatchingVariantIds(searchTerm, options = {}) {
+    const { mode = 'exact', fields = ['mpn'] } = options;
+    const filters = this.buildFilterClause(options);
+    let ids = [];
+
+    if (mode === 'text') {
+      const matchQuery = this.buildTextQuery(searchTerm);
+      if (matchQuery) {
+        const rows = await this.all(`
+          SELECT v.variant_id
+          FROM variant_fts
+          JOIN variant_lookups v ON v.id = variant_fts.rowid
+          WHERE variant_fts MATCH ?${filters.sql}
+        `, [matchQuery, ...filters.params]);
+        ids = rows.map(row => row.variant_id);
+      }
+    } else if (this.hotIndex.loaded && mode !== 'contains') {
+      ids = this.collectHotMatches(searchTerm, options).map(({ posting }) => posting.entry.row.variant_id);
+    } else {
+      const queries = this.buildMpnQueries(searchTerm, mode, fields, filters);
+      if (queries.length > 0) {
+        const rows = await this.all(
+          `SELECT DISTINCT variant_id FROM (${queries.map(q => q.sql).join(' UNION ALL ')})`,
+          queries.flatMap(q => q.params)
+        );
+        ids = rows.map(row => row.variant_id);
+      }
+    }
+
+    if (options.fuzzy && fields.includes('mpn')) {
+      // searchFuzzy checks at most FUZZY_CANDIDATE_LIMIT * 2 candidates
+      const fuzzy = await this.searchFuzzy(searchTerm, FUZZY_CANDIDATE_LIMIT * 2, options);
+      ids.push(...fuzzy.map(row => row.variant_id));
+    }
+
+    return [...new Set(ids)];
+  }
+
+  /**
+   * UNION ALL members of a searchByMpn SQL search, one per matched field
+   */
+  buildMpnQueries(searchTerm, mode, fields, filters) {
+    const queries = [];
+
+    if (fields.includes('mpn')) {
+      const normalized = this.normalizeMpn(searchTerm);
+      if (normalized && normalized.length >= 2) {
+        queries.push(this.buildMpnMatch(normalized, mode, filters));
+        queries.push(this.buildAliasMatch(normalized, mode !== 'exact', filters));
+        if (this.historyRetentionDays > 0) {
+          queries.push(this.buildHistoryMatch(normalized, mode !== 'exact', filters));
+        }
+      }
+    }
+
+    if (fields.includes('sku')) {
+      const skuNormalized = this.normalizeSku(searchTerm);
+      if (skuNormalized && skuNormalized.length >= 2) {
+        queries.push(this.buildCodeMatch('sku', 'sku_normalized', skuNormalized, mode !== 'exact', filters));
+      }
+    }
+
+    if (fields.includes('barcode')) {
+      const barcodeNormalized = this.normalizeBarcode(searchTerm);
+      if (barcodeNormalized && barcodeNormalized.length >= 2) {
+        queries.push(this.buildCodeMatch('barcode', 'barcode_normalized', barcodeNormalized, false, filters));
+      }
+    }
+
+    return queries;
+  }
+
+  /**
+   * Exact MPN lookup for many terms in one query (quote / BOM resolution)
+   * Aliases and unexpired previous MPNs are resolved too, after direct MPN matches.
+   * Returns a Map of normalized MPN -> matching rows (at most perTermLimit each)
+   */
+  async searchByMpnBatch(normalizedTerms, perTermLimit = 10) {
+    const matches = new Map();
+    const unique = [...new Set(normalizedTerms.filter(Boolean))];
+
+    if (unique.length === 0) {
+      return matches;
+    }
+
+    const placeholders = unique.map(() => '?').join(', ');
+    const filters = this.buildFilterClause();
+
+    // Previous MPNs only match while history is kept, as in searchByMpn
+    const history = this.historyRetentionDays > 0 ? {
+      sql: `
+        UNION ALL
+        SELECT 
+          ${SEARCH_COLUMNS_V},
+          h.mpn_normalized AS term,
+          'exact' AS match_type,
+          'mpn' AS matched_on,
+          h.mpn AS matched_alias,
+          NULL AS alias_type,
+          1 AS historical,
+          2 AS field_rank
+        FROM mpn_history h
+        JOIN variant_lookups v ON v.variant_id = h.variant_id
+        WHERE h.mpn_normalized IN (${placeholders})
+          AND h.replaced_at >= datetime('now', ?)${filters.sql}`,
+      params: [...unique, this.historyCutoff(), ...filters.params]
+    } : { sql: '', params: [] };
+
+    const rows = await this.all(`
+      ${this.buildScoredQuery(`
+        SELECT 
+          ${SEARCH_COLUMNS},
+          mpn_normalized AS term,
+          'exact' AS match_type,
+          'mpn' AS matched_on,
+          NULL AS matched_alias,
+          NULL AS alias_type,
+          0 AS historical,
+          0 AS field_rank
+        FROM variant_lookups
+        WHERE mpn_normalized IN (${placeholders})${filters.sql}
+        UNION ALL
+        SELECT 
+          ${SEARCH_COLUMNS_V},
+          a.alias_normalized AS term,
+          'exact' AS match_type,
+          'mpn' AS matched_on,
+          a.alias AS matched_alias,
+          a.alias_type AS alias_type,
+          0 AS historical,
+          1 AS field_rank
+        FROM mpn_aliases a
+        JOIN variant_lookups v ON v.variant_id = a.variant_id
+        WHERE a.alias_normalized IN (${placeholders})${filters.sql}${history.sql}
+      `, MATCH_SCORES.exact)}
+      ORDER BY term, score DESC, field_rank, variant_id
+    `, [
+      ...unique, ...filters.params,
+      ...unique, ...filters.params,
+      ...history.params
+    ]);
+
+    for (const { term, field_rank, ...row } of rows) {
+      const list = matches.get(term) || [];
+      if (list.length < perTermLimit && !list.some(r => r.variant_id === row.variant_id)) {
+        list.push(row);
+      }
+      matches.set(term, list);
+    }
+
+    return matches;
+  }
+
+  /**
+   * Extra WHERE conditions shared by every search query
+   * Columns are unqualified, so they must not clash with variant_fts or
+   * mpn_aliases columns.
+   *
+   * options.vendor    - only this manufacturer (normalized, matches the
+   *                     manufacturer metafield or else the Shopify vendor)
+   * options.available - only variants that are available for sale
+   *
+   * Draft, archived and unpublished products are left out unless
+   * options.includeHidden is set (see VISIBLE_CONDITION).
+   */
+  buildFilterClause(options = {}) {
+    const conditions = [];
+    const params = [];
+
+    const vendor = this.normalizeVendor(options.vendor);
+    if (vendor) {
+      conditions.push('manufacturer_normalized = ?');
+      params.push(vendor);
+    }
+
+    if (options.available) {
+      conditions.push('available_for_sale = 1');
+    }
+
+    if (!options.includeHidden) {
+      conditions.push(VISIBLE_CONDITION);
+    }
+
+    return {
+      sql: conditions.map(condition => ` AND ${condition}`).join(''),
+      params
+    };
+  }
+
+  /**
+   * Split a query like "Acme 7665PP" or "7665PP Acme" into a known
+   * manufacturer and the remaining part number.
+   * Returns { vendor, term } or null when no leading/trailing words name
+   * an indexed manufacturer. The longest matching name wins.
+   */
+  async parseVendorQuery(searchTerm) {
+    const words = (searchTerm || '').trim().split(/\s+/);
+    if (words.length < 2) return null;
+
+    const candidates = [];
+    for (let count = 1; count < words.length; count++) {
+      candidates.push({
+        vendor: words.slice(0, count).join(' '),
+        term: words.slice(count).join(' ')
+      });
+      candidates.push({
+        vendor: words.slice(words.length - count).join(' '),
+        term: words.slice(0, words.length - count).join(' ')
+      });
+    }
+
+    const normalizedNames = [...new Set(candidates.map(c => this.normalizeVendor(c.vendor)).filter(Boolean))];
+    if (normalizedNames.length === 0) return null;
+
+    const rows = await this.all(`
+      SELECT DISTINCT manufacturer_normalized
+      FROM variant_lookups
+      WHERE manufacturer_normalized IN (${normalizedNames.map(() => '?').join(', ')})
+    `, normalizedNames);
+
+    const known = new Set(rows.map(row => row.manufacturer_normalized));
+    const matches = candidates
+      .filter(c => known.has(this.normalizeVendor(c.vendor)))
+      .sort((a, b) => b.vendor.length - a.vendor.length);
+
+    return matches[0] || null;
+  }
+
+  /**
+   * SELECT for MPN matches in the given mode (see searchByMpn)
+   */
+  buildMpnMatch(normalized, mode, filters = { sql: '', params: [] }) {
+    let where;
+    let whereParams;
+
+    if (mode === 'prefix') {
+      // Normalized MPNs are alphanumeric, so GLOB needs no escaping
+      // and can use idx_variant_lookups_mpn_normalized
+      where = 'mpn_normalized GLOB ?';
+      whereParams = [`${normalized}*`];
+    } else if (mode === 'contains') {
+      const trigrams = this.buildTrigrams(normalized);
+
+      if (trigrams.length > 0) {
+        // Candidates must contain every trigram; instr() drops
+        // false positives where the trigrams appear out of order
+        where = `
+          variant_id IN (
+            SELECT variant_id FROM mpn_trigrams
+            WHERE trigram IN (${trigrams.map(() => '?').join(', ')})
+            GROUP BY variant_id
+            HAVING COUNT(*) = ?
+          )
+          AND instr(mpn_normalized, ?) > 0
+        `;
+        whereParams = [...trigrams, trigrams.length, normalized];
+      } else {
+        // Two-character terms are too short for trigrams
+        where = 'instr(mpn_normalized, ?) > 0';
+        whereParams = [normalized];
+      }
+    } else {
+      where = 'mpn_normalized = ?';
+      whereParams = [normalized];
+    }
+
+    return {
+      sql: `
+        SELECT 
+          ${SEARCH_COLUMNS},
+          CASE
+            WHEN mpn_normalized = ? THEN 'exact'
+            WHEN mpn_normalized GLOB ? THEN 'prefix'
+            ELSE 'contains'
+          END AS match_type,
+          'mpn' AS matched_on,
+          CASE
+            WHEN mpn_normalized = ? THEN 0
+            WHEN mpn_normalized GLOB ? THEN 1
+            ELSE 2
+          END AS match_rank,
+          0 AS field_rank,
+          mpn_normalized AS match_key,
+          NULL AS matched_alias,
+          NULL AS alias_type,
+          0 AS historical
+        FROM variant_lookups
+        WHERE ${where}${filters.sql}
+      `,
+      params: [
+        normalized, `${normalized}*`,
+        normalized, `${normalized}*`,
+        ...whereParams,
+        ...filters.params
+      ]
+    };
+  }
+
+  /**
+   * SELECT for exact (or prefix) matches on a normalized SKU/barcode column
+   */
+  buildCodeMatch(field, column, normalized, allowPrefix, filters = { sql: '', params: [] }) {
+    const fieldRank = field === 'sku' ? 2 : 3;
+
+    return {
+      sql: `
+        SELECT 
+          ${SEARCH_COLUMNS},
+          CASE WHEN ${column} = ? THEN 'exact' ELSE 'prefix' END AS match_type,
+          '${field}' AS matched_on,
+          CASE WHEN ${column} = ? THEN 0 ELSE 1 END AS match_rank,
+          ${fieldRank} AS field_rank,
+          ${column} AS match_key,
+          NULL AS matched_alias,
+          NULL AS alias_type,
+          0 AS historical
+        FROM variant_lookups
+        WHERE ${allowPrefix ? `${column} GLOB ?` : `${column} = ?`}${filters.sql}
+      `,
+      params: [normalized, normalized, allowPrefix ? `${normalized}*` : normalized, ...filters.params]
+    };
+  }
+
+  /**
+   * SELECT for matches through mpn_aliases (exact, or prefix)
+   */
+  buildAliasMatch(normalized, allowPrefix, filters = { sql: '', params: [] }) {
+    return {
+      sql: `
+        SELECT 
+          ${SEARCH_COLUMNS_V},
+          CASE WHEN a.alias_normalized = ? THEN 'exact' ELSE 'prefix' END AS match_type,
+          'mpn' AS matched_on,
+          CASE WHEN a.alias_normalized = ? THEN 0 ELSE 1 END AS match_rank,
+          1 AS field_rank,
+          a.alias_normalized AS match_key,
+          a.alias AS matched_alias,
+          a.alias_type AS alias_type,
+          0 AS historical
+        FROM mpn_aliases a
+        JOIN variant_lookups v ON v.variant_id = a.variant_id
+        WHERE ${allowPrefix ? 'a.alias_normalized GLOB ?' : 'a.alias_normalized = ?'}${filters.sql}
+      `,
+      params: [normalized, normalized, allowPrefix ? `${normalized}*` : normalized, ...filters.params]
+    };
+  }
+
+  /**
+   * SELECT for matches on previous MPNs within the retention period
+   */
+  buildHistoryMatch(normalized, allowPrefix, filters = { sql: '', params: [] }) {
+    return {
+      sql: `
+        SELECT 
+          ${SEARCH_COLUMNS_V},
+          CASE WHEN h.mpn_normalized = ? THEN 'exact' ELSE 'prefix' END AS match_type,
+          'mpn' AS matched_on,
+          CASE WHEN h.mpn_normalized = ? THEN 0 ELSE 1 END AS match_rank,
+          1 AS field_rank,
+          h.mpn_normalized AS match_key,
+          h.mpn AS matched_alias,
+          NULL AS alias_type,
+          1 AS historical
+        FROM mpn_history h
+        JOIN variant_lookups v ON v.variant_id = h.variant_id
+        WHERE ${allowPrefix ? 'h.mpn_normalized GLOB ?' : 'h.mpn_normalized = ?'}
+          AND h.replaced_at >= datetime('now', ?)${filters.sql}
+      `,
+      params: [
+        normalized, normalized,
+        allowPrefix ? `${normalized}*` : normalized,
+        this.historyCutoff(),
+        ...filters.params
+      ]
+    };
+  }
+
+  /**
+   * Full-text search over titles, MPN and SKU, ranked by BM25
+   * "cadmium red 7665" matches "Acme Acrylic Paint - Cadmium Red" / MPN "7665-PP"
+   * Rows carry match_type "text", their bm25 rank (lower is better) and a
+   * score whose match component is their bm25 relative to the best hit.
+   * options are the buildFilterClause filters.
+   */
+  async searchText(searchTerm, limit = 10, options = {}) {
+    const matchQuery = this.buildTextQuery(searchTerm);
+    const filters = this.buildFilterClause(options);
+
+    if (!matchQuery) {
+      return [];
+    }
+
+    // bm25 is <= 0 (more negative is better); the best hit gets a match
+    // component of 1 and the rest are scaled against it
+    return this.all(`
+      ${this.buildScoredQuery(`
+        SELECT 
+          ${SEARCH_COLUMNS_V},
+          'text' AS match_type,
+          'text' AS matched_on,
+          bm25(variant_fts, ${TEXT_RANK_WEIGHTS.join(', ')}) AS bm25
+        FROM variant_fts
+        JOIN variant_lookups v ON v.id = variant_fts.rowid
+        WHERE variant_fts MATCH ?${filters.sql}
+      `, 'CASE WHEN MIN(bm25) OVER () < 0 THEN bm25 / MIN(bm25) OVER () ELSE 1.0 END')}
+      ORDER BY score DESC, bm25, variant_id
+      LIMIT ?
+    `, [matchQuery, ...filters.params, limit]);
+  }
+
+  /**
+   * Fuzzy search: lookalike folding plus a bounded edit distance
+   *
+   * Candidates share enough trigrams with the folded term (q-gram lemma:
+   * an edit destroys at most three trigrams, a transposition four) or,
+   * for short terms where that bound says nothing, its first two
+   * characters. They are then verified with editDistance.
+   *
+   * Rows carry match_type "fuzzy", the distance between folded values,
+   * did_you_mean when the normalized MPN differs from what was typed and
+   * a score whose match component shrinks with distance.
+   *
+   * options.maxDistance - override defaultFuzzyDistance (0-2)
+   * options.excludeIds  - variant IDs already returned by a stricter tier
+   * plus the buildFilterClause filters
+   */
+  async searchFuzzy(searchTerm, limit = 10, options = {}) {
+    const normalized = this.normalizeMpn(searchTerm);
+
+    if (!normalized || normalized.length < 2) {
+      return [];
+    }
+
+    const folded = this.foldMpn(normalized);
+    const maxDistance = options.maxDistance ?? this.defaultFuzzyDistance(folded.length);
+    const exclude = new Set(options.excludeIds || []);
+    const trigrams = this.buildTrigrams(folded);
+    const filters = this.buildFilterClause(options);
+
+    let candidates;
+
+    if (trigrams.length > 0) {
+      const minShared = Math.max(1, trigrams.length - 4 * maxDistance);
+
+      candidates = await this.all(`
+        SELECT 
+          ${SEARCH_COLUMNS},
+          ${this.buildScoreColumns('0')},
+          mpn_normalized,
+          mpn_folded
+        FROM variant_lookups
+        WHERE (
+          variant_id IN (
+            SELECT variant_id FROM mpn_fuzzy_trigrams
+            WHERE trigram IN (${trigrams.map(() => '?').join(', ')})
+            GROUP BY variant_id
+            HAVING COUNT(*) >= ?
+            ORDER BY COUNT(*) DESC
+            LIMIT ?
+          )
+          OR mpn_folded GLOB ?
+        )
+        AND length(mpn_folded) BETWEEN ? AND ?${filters.sql}
+        LIMIT ?
+      `, [
+        ...trigrams, minShared, FUZZY_CANDIDATE_LIMIT,
+        `${folded.slice(0, 2)}*`,
+        folded.length - maxDistance, folded.length + maxDistance,
+        ...filters.params,
+        FUZZY_CANDIDATE_LIMIT * 2
+      ]);
+    } else {
+      // Two-character terms: lookalike folding only
+      candidates = await this.all(`
+        SELECT 
+          ${SEARCH_COLUMNS},
+          ${this.buildScoreColumns('0')},
+          mpn_normalized,
+          mpn_folded
+        FROM variant_lookups
+        WHERE mpn_folded = ?${filters.sql}
+        LIMIT ?
+      `, [folded, ...filters.params, FUZZY_CANDIDATE_LIMIT]);
+    }
+
+    return candidates
+      .filter(row => !exclude.has(row.variant_id))
+      .map(row => ({
+        ...row,
+        distance: this.editDistance(folded, row.mpn_folded, maxDistance)
+      }))
+      .filter(row => row.distance <= maxDistance)
+      .map(row => this.applyScore({
+        ...row,
+        match_score: MATCH_SCORES.fuzzy / (1 + row.distance)
+      }))
+      .sort((a, b) =>
+        b.score - a.score ||
+        a.distance - b.distance ||
+        Math.abs(a.mpn_folded.length - folded.length) - Math.abs(b.mpn_folded.length - folded.length) ||
+        a.mpn_normalized.localeCompare(b.mpn_normalized)
+      )
+      .slice(0, limit)
+      .map(({ mpn_normalized, mpn_folded, ...row }) => ({
+        ...row,
+        match_type: 'fuzzy',
+        matched_on: 'mpn',
+        did_you_mean: mpn_normalized !== normalized
+      }));
+  }
+
+  /**
+   * Update availability and inventory of an indexed variant (inventory webhooks)
+   */
+  async updateVariantInventory(variantId, { available_for_sale, inventory_quantity }) {
+    const result = await this.run(`
+      UPDATE variant_lookups
+      SET available_for_sale = ?, inventory_quantity = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE variant_id = ?
+    `, [available_for_sale ? 1 : 0, inventory_quantity ?? null, variantId]);
+
+    await this.refreshHotVariant(variantId);
+    await this.bumpIndexVersion();
+    return result;
+  }
+
+  /**
+   * Indexed variant for a Shopify inventory item, if any
+   */
+  async getVariantByInventoryItem(inventoryItemId) {
+    return this.get(
+      'SELECT variant_id, available_for_sale, inventory_quantity FROM variant_lookups WHERE inventory_item_id = ?',
+      [inventoryItemId]
+    );
+  }
+
+  /**
+   * IDs of the indexed variants of a product
+   */
+  async getProductVariantIds(productId) {
+    const rows = await this.all('SELECT variant_id FROM variant_lookups WHERE product_id = ?', [productId]);
+    return rows.map(row => row.variant_id);
+  }
+
+  /**
+   * Delete a variant from the index
+   */
+  async deleteVariant(variantId) {
+    await this.deleteTrigrams('variant_id = ?', [variantId]);
+    await this.deleteText('rowid IN (SELECT id FROM variant_lookups WHERE variant_id = ?)', [variantId]);
+    await this.run('DELETE FROM mpn_history WHERE variant_id = ?', [variantId]);
+
+    const result = await this.run('DELETE FROM variant_lookups WHERE variant_id = ?', [variantId]);
+
+    this.hotIndex.removeVariant(variantId);
+    await this.bumpIndexVersion();
+    return result;
+  }
+
+  /**
+   * Delete all variants for a product
+   */
+  async deleteProductVariants(productId) {
+    const variants = await this.all('SELECT variant_id FROM variant_lookups WHERE product_id = ?', [productId]);
+
+    await this.deleteTrigrams(
+      'variant_id IN (SELECT variant_id FROM variant_lookups WHERE product_id = ?)',
+      [productId]
+    );
+    await this.deleteText('rowid IN (SELECT id FROM variant_lookups WHERE product_id = ?)', [productId]);
+    await this.run(
+      'DELETE FROM mpn_history WHERE variant_id IN (SELECT variant_id FROM variant_lookups WHERE product_id = ?)',
+      [productId]
+    );
+
+    const result = await this.run('DELETE FROM variant_lookups WHERE product_id = ?', [productId]);
+
+    variants.forEach(({ variant_id }) => this.hotIndex.removeVariant(variant_id));
+    await this.bumpIndexVersion();
+    return result;
+  }
+
+  /**
+   * Clear entire index (for full resync)
+   */
+  async clearIndex() {
+    await this.deleteTrigrams();
+    await this.deleteText();
+
+    const result = await this.run('DELETE FROM variant_lookups');
+
+    this.hotIndex.clear();
+    await this.bumpIndexVersion();
+    return result;
+  }
+
+  /**
+   * Get index statistics
+   */
+  async getIndexStats() {
+    return new Promise((resolve, reject) => {
+      this.db.get(`
+        SELECT 
+          COUNT(*) as total_variants,
+          COUNT(DISTINCT product_id) as total_products,
+          COUNT(mpn) as variants_with_mpn,
+          MAX(updated_at) as last_updated,
+          COALESCE(SUM(NOT ${VISIBLE_CONDITION}), 0) as excluded_variants,
+          COALESCE(SUM(product_status = 'DRAFT'), 0) as excluded_draft,
+          COALESCE(SUM(product_status = 'ARCHIVED'), 0) as excluded_archived,
+          COALESCE(SUM(product_status = 'ACTIVE' AND published_at IS NULL), 0) as excluded_unpublished
+        FROM variant_lookups
+      `, (err, row) => {
+        if (err) reject(err);
+        else resolve(row || { total_variants: 0, total_products: 0, variants_with_mpn: 0, excluded_variants: 0 });
+      });
+    });
+  }
+
+  // ========== STAGED INDEX (FULL SYNC) ==========
+
+  /**
+   * Start an empty staging copy of variant_lookups, the trigram tables and
+   * the full-text index. A full sync fills it while searches keep using
+   * the live index, then swapStagedIndex replaces the live index in one
+   * transaction.
+   * Leftovers of an interrupted sync are dropped first.
+   */
+  async beginStagedIndex() {
+    await this.discardStagedIndex();
+
+    await this.exec(`
+      CREATE TABLE variant_lookups_staging AS SELECT ${VARIANT_COLUMNS} FROM variant_lookups WHERE 0;
+      CREATE UNIQUE INDEX idx_variant_lookups_staging_variant_id ON variant_lookups_staging(variant_id);
+      CREATE TABLE mpn_trigrams_staging AS SELECT trigram, variant_id FROM mpn_trigrams WHERE 0;
+      CREATE UNIQUE INDEX idx_mpn_trigrams_staging ON mpn_trigrams_staging(trigram, variant_id);
+      CREATE TABLE mpn_fuzzy_trigrams_staging AS SELECT trigram, variant_id FROM mpn_fuzzy_trigrams WHERE 0;
+      CREATE UNIQUE INDEX idx_mpn_fuzzy_trigrams_staging ON mpn_fuzzy_trigrams_staging(trigram, variant_id);
+      CREATE VIRTUAL TABLE variant_fts_staging USING ${TEXT_INDEX_DEFINITION};
+    `);
+  }
+
+  /**
+   * Add variants to the staging index (see isSearchable for what is skipped)
+   * A variant listed twice keeps its last version. Full-text rows use the
+   * staging rowid, which becomes the live id at the swap. Each batch is one
+   * transaction with reused prepared statements, rolled back on error.
+   */
+  async stageVariants(variants) {
+    const rows = variants.filter(variant => this.isSearchable(variant)).map(variant => this.buildVariantRow(variant));
+
+    const statements = {
+      insertRow: STAGE_VARIANT_SQL,
+      deleteTrigrams: 'DELETE FROM mpn_trigrams_staging WHERE variant_id = ?',
+      deleteFuzzyTrigrams: 'DELETE FROM mpn_fuzzy_trigrams_staging WHERE variant_id = ?',
+      insertTrigram: 'INSERT OR IGNORE INTO mpn_trigrams_staging (trigram, variant_id) VALUES (?, ?)',
+      insertFuzzyTrigram: 'INSERT OR IGNORE INTO mpn_fuzzy_trigrams_staging (trigram, variant_id) VALUES (?, ?)',
+      deleteText: 'DELETE FROM variant_fts_staging WHERE rowid = (SELECT rowid FROM variant_lookups_staging WHERE variant_id = ?)',
+      insertText: `
+        INSERT INTO variant_fts_staging (rowid, product_title, variant_title, mpn, mpn_normalized, sku)
+        SELECT rowid, product_title, variant_title, mpn, mpn_normalized, sku
+        FROM variant_lookups_staging
+        WHERE variant_id = ?
+      `
+    };
+
+    await this.transaction(() => this.withStatements(statements, async (prepared) => {
+      for (const row of rows) {
+        await this.runStatement(prepared.deleteText, [row.variant_id]);
+        await this.runStatement(prepared.insertRow, VARIANT_COLUMN_NAMES.map(column => row[column] ?? null));
+        await this.runStatement(prepared.insertText, [row.variant_id]);
+        await this.runStatement(prepared.deleteTrigrams, [row.variant_id]);
+        await this.runStatement(prepared.deleteFuzzyTrigrams, [row.variant_id]);
+
+        for (const trigram of this.buildTrigrams(row.mpn_normalized)) {
+          await this.runStatement(prepared.insertTrigram, [trigram, row.variant_id]);
+        }
+        for (const trigram of this.buildTrigrams(row.mpn_folded)) {
+          await this.runStatement(prepared.insertFuzzyTrigram, [trigram, row.variant_id]);
+        }
+      }
+    }));
+
+    return { indexed: rows.length, skipped: variants.length - rows.length };
+  }
+
+  /**
+   * Replace the live index with the staging index in a single transaction
+   * MPNs that changed go to mpn_history, rows are copied over with their
+   * staging rowids as ids and the full-text index, already built during
+   * staging, takes the live one's place by rename. The hot index is
+   * reloaded afterwards. On error the transaction is rolled back and the
+   * live index is unchanged.
+   */
+  async swapStagedIndex() {
+    // Same rules as recordMpnHistory: a number that is current again leaves
+    // the history, a replaced one is added unless history is turned off
+    const recordHistory = this.historyRetentionDays > 0 ? `
+      INSERT INTO mpn_history (variant_id, mpn, mpn_normalized, replaced_at)
+      SELECT v.variant_id, v.mpn, v.mpn_normalized, CURRENT_TIMESTAMP
+      FROM variant_lookups v
+      JOIN variant_lookups_staging s ON s.variant_id = v.variant_id
+      WHERE v.mpn_normalized IS NOT NULL AND v.mpn_normalized != '' AND s.mpn_normalized IS NOT v.mpn_normalized
+      ON CONFLICT(variant_id, mpn_normalized) DO UPDATE SET
+        mpn = excluded.mpn,
+        replaced_at = CURRENT_TIMESTAMP;
+    ` : '';
+
+    await this.transaction(() => this.exec(`
+        DELETE FROM mpn_history WHERE EXISTS (
+          SELECT 1 FROM variant_lookups_staging s
+          WHERE s.variant_id = mpn_history.variant_id AND s.mpn_normalized = mpn_history.mpn_normalized
+        );
+        ${recordHistory}
+
+        DELETE FROM mpn_trigrams;
+        DELETE FROM mpn_fuzzy_trigrams;
+        DELETE FROM variant_lookups;
+
+        INSERT INTO variant_lookups (id, ${VARIANT_COLUMNS}, updated_at)
+        SELECT rowid, ${VARIANT_COLUMNS}, CURRENT_TIMESTAMP FROM variant_lookups_staging;
+        INSERT INTO mpn_trigrams (trigram, variant_id) SELECT trigram, variant_id FROM mpn_trigrams_staging;
+        INSERT INTO mpn_fuzzy_trigrams (trigram, variant_id) SELECT trigram, variant_id FROM mpn_fuzzy_trigrams_staging;
+
+        DROP TABLE variant_fts;
+        ALTER TABLE variant_fts_staging RENAME TO variant_fts;
+    `));
+
+    await this.discardStagedIndex();
+
+    if (this.hotIndex.loaded) {
+      await this.loadHotIndex();
+    }
+
+    await this.bumpIndexVersion();
+  }
+
+  /**
+   * Drop the staging tables (after a swap, or when a full sync fails)
+   */
+  async discardStagedIndex() {
+    await this.exec(STAGED_TABLES.map(table => `DROP TABLE IF EXISTS ${table}_staging;`).join('\n'));
+  }
+
+  // ========== MPN ALIASES ==========
+
+  /**
+   * List aliases, optionally for one variant or matching a search term
+   */
+  async listAliases({ variantId = null, search = null, limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (variantId) {
+      conditions.push('a.variant_id = ?');
+      params.push(variantId);
+    }
+
+    const normalized = this.normalizeMpn(search);
+    if (normalized) {
+      conditions.push('(a.alias_normalized GLOB ? OR v.mpn_normalized GLOB ?)');
+      params.push(`${normalized}*`, `${normalized}*`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const { total } = await this.get(`
+      SELECT COUNT(*) AS total
+      FROM mpn_aliases a
+      LEFT JOIN variant_lookups v ON v.variant_id = a.variant_id
+      ${where}
+    `, params);
+
+    const aliases = await this.all(`
+      SELECT a.*, v.mpn, v.product_title, v.variant_title
+      FROM mpn_aliases a
+      LEFT JOIN variant_lookups v ON v.variant_id = a.variant_id
+      ${where}
+      ORDER BY a.updated_at DESC, a.id DESC
+      LIMIT ? OFFSET ?
+    `, [...params, limit, offset]);
+
+    return { aliases, total };
+  }
+
+  async getAlias(id) {
+    return this.get('SELECT * FROM mpn_aliases WHERE id = ?', [id]);
+  }
+
+  /**
+   * Add an alias for a variant (updates type/source if it already exists)
+   */
+  async upsertAlias({ variant_id, alias, alias_type = 'alternate', source = 'manual' }) {
+    const alias_normalized = this.normalizeMpn(alias);
+
+    await this.run(UPSERT_ALIAS_SQL, [variant_id, alias, alias_normalized, alias_type, source]);
+    await this.refreshHotVariant(variant_id);
+    await this.bumpIndexVersion();
+
+    return this.get(
+      'SELECT * FROM mpn_aliases WHERE variant_id = ? AND alias_normalized = ?',
+      [variant_id, alias_normalized]
+    );
+  }
+
+  /**
+   * Add many aliases at once, like upsertAlias (CSV import)
+   * The batch is written in one transaction with a reused prepared
+   * statement. An alias that fails is skipped and listed in failed by its
+   * position; the hot index and index version are updated once the batch
+   * has committed.
+   */
+  async bulkUpsertAliases(aliases) {
+    const failed = [];
+    const variantIds = new Set();
+
+    await this.transaction(() => this.withStatements({ upsert: UPSERT_ALIAS_SQL }, async (prepared) => {
+      for (const [index, { variant_id, alias, alias_type = 'alternate', source = 'manual' }] of aliases.entries()) {
+        try {
+          await this.runStatement(prepared.upsert, [variant_id, alias, this.normalizeMpn(alias), alias_type, source]);
+          variantIds.add(variant_id);
+        } catch (error) {
+          failed.push({ index, error });
+        }
+      }
+    }));
+
+    for (const variantId of variantIds) {
+      await this.refreshHotVariant(variantId);
+    }
+    if (variantIds.size > 0) {
+      await this.bumpIndexVersion();
+    }
+
+    return { imported: aliases.length - failed.length, failed };
+  }
+
+  async updateAlias(id, { alias, alias_type }) {
+    const existing = await this.getAlias(id);
+    if (!existing) return null;
+
+    const nextAlias = alias ?? existing.alias;
+
+    await this.run(`
+      UPDATE mpn_aliases
+      SET alias = ?, alias_normalized = ?, alias_type = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [nextAlias, this.normalizeMpn(nextAlias), alias_type ?? existing.alias_type, id]);
+    await this.refreshHotVariant(existing.variant_id);
+    await this.bumpIndexVersion();
+
+    return this.getAlias(id);
+  }
+
+  async deleteAlias(id) {
+    const existing = await this.getAlias(id);
+    const result = await this.run('DELETE FROM mpn_aliases WHERE id = ?', [id]);
+
+    if (existing) {
+      await this.refreshHotVariant(existing.variant_id);
+      await this.bumpIndexVersion();
+    }
+    return result;
+  }
+
+  /**
+   * Variant IDs whose own MPN normalizes to the given value
+   * (lets CSV imports reference variants by their primary MPN)
+   */
+  async findVariantIdsByMpn(mpn) {
+    const rows = await this.all(
+      'SELECT variant_id FROM variant_lookups WHERE mpn_normalized = ?',
+      [this.normalizeMpn(mpn)]
+    );
+    return rows.map(row => row.variant_id);
+  }
+
+  // ========== SEARCH RULES ==========
+
+  /**
+   * Keep every rule in memory: there are few, and search checks them on
+   * every request
+   */
+  async loadSearchRules() {
+    const rows = await this.all('SELECT * FROM search_rules ORDER BY updated_at DESC, id DESC');
+    this.searchRules = rows.map(parseSearchRule);
+  }
+
+  listSearchRules() {
+    return this.searchRules;
+  }
+
+  getSearchRule(id) {
+    return this.searchRules.find(rule => rule.id === Number(id)) || null;
+  }
+
+  /**
+   * Rule for a search term: exact rules win over normalized ones, then
+   * the most recently updated
+   */
+  findSearchRule(term) {
+    const text = ruleQueryText(term).toLowerCase();
+    const normalized = this.normalizeMpn(term);
+
+    return this.searchRules.find(rule => rule.match_type === 'exact' && rule.query.toLowerCase() === text) ||
+      this.searchRules.find(rule => rule.match_type === 'normalized' && normalized && rule.query_normalized === normalized) ||
+      null;
+  }
+
+  /**
+   * Another rule that would match the same searches (for duplicate checks)
+   */
+  findConflictingSearchRule({ query, match_type }, excludeId = null) {
+    const text = ruleQueryText(query).toLowerCase();
+    const normalized = this.normalizeMpn(query);
+
+    return this.searchRules.find(rule =>
+      rule.id !== excludeId &&
+      rule.match_type === match_type &&
+      (match_type === 'exact' ? rule.query.toLowerCase() === text : rule.query_normalized === normalized)
+    ) || null;
+  }
+
+  async createSearchRule({ query, match_type = 'normalized', redirect_url = null, pinned_variant_ids = null }) {
+    const text = ruleQueryText(query);
+    const { id } = await this.run(`
+      INSERT INTO search_rules (query, query_normalized, match_type, redirect_url, pinned_variant_ids)
+      VALUES (?, ?, ?, ?, ?)
+    `, [text, this.normalizeMpn(text), match_type, redirect_url, pinned_variant_ids ? JSON.stringify(pinned_variant_ids) : null]);
+
+    await this.loadSearchRules();
+    await this.bumpIndexVersion();
+    return this.getSearchRule(id);
+  }
+
+  /**
+   * Update a rule; a rule redirects or pins, so setting one clears the other
+   */
+  async updateSearchRule(id, { query, match_type, redirect_url, pinned_variant_ids }) {
+    const existing = this.getSearchRule(id);
+    if (!existing) return null;
+
+    const text = query !== undefined ? ruleQueryText(query) : existing.query;
+    const redirect = redirect_url !== undefined ? redirect_url : (pinned_variant_ids ? null : existing.redirect_url);
+    const pinned = pinned_variant_ids !== undefined ? pinned_variant_ids : (redirect_url ? null : existing.pinned_variant_ids);
+
+    await this.run(`
+      UPDATE search_rules
+      SET query = ?, query_normalized = ?, match_type = ?, redirect_url = ?, pinned_variant_ids = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [text, this.normalizeMpn(text), match_type ?? existing.match_type, redirect, pinned ? JSON.stringify(pinned) : null, existing.id]);
+
+    await this.loadSearchRules();
+    await this.bumpIndexVersion();
+    return this.getSearchRule(existing.id);
+  }
+
+  async deleteSearchRule(id) {
+    const result = await this.run('DELETE FROM search_rules WHERE id = ?', [id]);
+
+    if (result.changes > 0) {
+      await this.loadSearchRules();
+      await this.bumpIndexVersion();
+    }
+    return result;
+  }
+
+  /**
+   * Pinned variants as search rows, in the rule's order
+   * Variants that are not indexed or hidden from search are left out.
+   */
+  async getPinnedVariants(variantIds) {
+    if (variantIds.length === 0) return [];
+
+    const rows = await this.all(`
+      SELECT ${SEARCH_COLUMNS}, 'pinned' as match_type, NULL as matched_on, 0 as historical
+      FROM variant_lookups
+      WHERE variant_id IN (${variantIds.map(() => '?').join(', ')}) AND ${VISIBLE_CONDITION}
+    `, variantIds);
+    const byId = new Map(rows.map(row => [row.variant_id, row]));
+
+    return variantIds.filter(variantId => byId.has(variantId)).map(variantId => byId.get(variantId));
+  }
+
+  // ========== HOT INDEX ==========
+
+  /**
+   * Load every indexed variant with its aliases and previous MPNs into
+   * the in-memory hot index (called at startup and after a renormalization)
+   */
+  async loadHotIndex() {
+    const startTime = Date.now();
+    const rows = await this.all(`SELECT ${SEARCH_COLUMNS}, ${HOT_KEY_COLUMNS.join(', ')} FROM variant_lookups`);
+    const aliases = groupBy(await this.all('SELECT variant_id, alias, alias_normalized, alias_type FROM mpn_aliases'), 'variant_id');
+    const history = groupBy(await this.all('SELECT variant_id, mpn, mpn_normalized, replaced_at FROM mpn_history'), 'variant_id');
+
+    this.hotIndex.load(rows.map(row => ({
+      variantId: row.variant_id,
+      row,
+      postings: this.buildHotPostings(row, aliases.get(row.variant_id) || [], history.get(row.variant_id) || [])
+    })));
+    this.hotIndex.loaded = true;
+
+    console.log(`🔥 Hot index loaded: ${rows.length} variants (${Date.now() - startTime}ms)`);
+  }
+
+  /**
+   * Re-read one variant from SQLite into the hot index (removes it when gone)
+   */
+  async refreshHotVariant(variantId) {
+    if (!this.hotIndex.loaded) return;
+
+    const row = await this.get(
+      `SELECT ${SEARCH_COLUMNS}, ${HOT_KEY_COLUMNS.join(', ')} FROM variant_lookups WHERE variant_id = ?`,
+      [variantId]
+    );
+
+    if (!row) {
+      this.hotIndex.removeVariant(variantId);
+      return;
+    }
+
+    const aliases = await this.all(
+      'SELECT variant_id, alias, alias_normalized, alias_type FROM mpn_aliases WHERE variant_id = ?',
+      [variantId]
+    );
+    const history = await this.all(
+      'SELECT variant_id, mpn, mpn_normalized, replaced_at FROM mpn_history WHERE variant_id = ?',
+      [variantId]
+    );
+
+    this.hotIndex.setVariant(variantId, row, this.buildHotPostings(row, aliases, history));
+  }
+
+  /**
+   * Search keys of a variant, with the same field_rank / match fields as
+   * the buildMpnMatch, buildAliasMatch, buildHistoryMatch and buildCodeMatch rows
+   */
+  buildHotPostings(row, aliases, history) {
+    const postings = [];
+
+    if (row.mpn_normalized) {
+      postings.push({ space: 'mpn', key: row.mpn_normalized, matched_on: 'mpn', field_rank: 0 });
+    }
+
+    for (const alias of aliases) {
+      postings.push({
+        space: 'mpn',
+        key: alias.alias_normalized,
+        matched_on: 'mpn',
+        field_rank: 1,
+        matched_alias: alias.alias,
+        alias_type: alias.alias_type
+      });
+    }
+
+    for (const entry of history) {
+      postings.push({
+        space: 'mpn',
+        key: entry.mpn_normalized,
+        matched_on: 'mpn',
+        field_rank: 1,
+        matched_alias: entry.mpn,
+        historical: 1,
+        replaced_at: entry.replaced_at
+      });
+    }
+
+    if (row.sku_normalized) {
+      postings.push({ space: 'sku', key: row.sku_normalized, matched_on: 'sku', field_rank: 2 });
+    }
+
+    if (row.barcode_normalized) {
+      postings.push({ space: 'barcode', key: row.barcode_normalized, matched_on: 'barcode', field_rank: 3 });
+    }
+
+    return postings;
   }
 
-  async initialize() {
-    return new Promise((resolve, reject) => {
-      // Ensure data directory exists
-      const dataDir = path.dirname(this.dbPath);
-      if (!fs.existsSync(dataDir)) {
-        fs.mkdirSync(dataDir, { recursive: true });
+  /**
+   * searchByMpn (exact / prefix mode) answered from the hot index
+   * Mirrors the SQL path: buildFilterClause filters, history retention,
+   * buildScoredQuery scores and the same ORDER BY.
+   */
+  searchHotIndex(searchTerm, limit, options) {
+    const now = Date.now();
+
+    const rows = this.collectHotMatches(searchTerm, options)
+      .map(({ posting, term }) => {
+        const { mpn_normalized, sku_normalized, barcode_normalized, manufacturer_normalized, ...row } = posting.entry.row;
+        const exact = posting.key === term;
+        const createdAt = row.product_created_at ? Date.parse(row.product_created_at) : NaN;
+
+        return this.applyScore({
+          ...row,
+          match_type: exact ? 'exact' : 'prefix',
+          matched_on: posting.matched_on,
+          matched_alias: posting.matched_alias ?? null,
+          alias_type: posting.alias_type ?? null,
+          historical: posting.historical ?? 0,
+          field_rank: posting.field_rank,
+          match_key: posting.key,
+          match_score: exact ? MATCH_SCORES.exact : MATCH_SCORES.prefix,
+          in_stock_score: row.available_for_sale === 1 ? 1 : 0,
+          published_score: row.product_status === 'ACTIVE' && row.published_at != null ? 1 : 0,
+          recency_score: Number.isNaN(createdAt)
+            ? 0
+            : 1 / (1 + Math.max((now - createdAt) / 86400000, 0) / RECENCY_HALF_LIFE_DAYS)
+        });
+      })
+      .sort((a, b) =>
+        b.score - a.score ||
+        a.field_rank - b.field_rank ||
+        a.match_key.length - b.match_key.length ||
+        compareStrings(a.match_key, b.match_key) ||
+        compareStrings(a.variant_id, b.variant_id)
+      );
+
+    const seen = new Set();
+    const results = rows
+      .filter(row => {
+        if (seen.has(row.variant_id)) return false;
+        seen.add(row.variant_id);
+        return true;
+      })
+      .slice(0, limit)
+      .map(({ field_rank, match_key, ...row }) => row);
+
+    this.hotIndex.record(results.length > 0 ? 'hit' : 'miss');
+    return results;
+  }
+
+  /**
+   * Hot index postings matching a search ({ posting, term }), after the
+   * buildFilterClause filters and history retention; a variant can match
+   * more than once
+   */
+  collectHotMatches(searchTerm, options) {
+    const { mode = 'exact', fields = ['mpn'] } = options;
+    const allowPrefix = mode !== 'exact';
+    const matches = [];
+
+    const collect = (space, term, prefix) => {
+      for (const posting of this.hotIndex.lookup(space, term, prefix)) {
+        matches.push({ posting, term });
       }
+    };
 
-      this.db = new sqlite3.Database(this.dbPath, (err) => {
-        if (err) {
-          console.error('❌ Failed to connect to SQLite database:', err.message);
-          reject(err);
-        } else {
-          console.log('✅ Connected to SQLite database:', this.dbPath);
-          this.createTables()
-            .then(() => this.runMigrations())
-            .then(() => {
-              console.log('✅ Database tables initialized');
-              resolve();
-            })
-            .catch(reject);
-        }
-      });
+    if (fields.includes('mpn')) {
+      const normalized = this.normalizeMpn(searchTerm);
+      if (normalized && normalized.length >= 2) collect('mpn', normalized, allowPrefix);
+    }
+
+    if (fields.includes('sku')) {
+      const skuNormalized = this.normalizeSku(searchTerm);
+      if (skuNormalized && skuNormalized.length >= 2) collect('sku', skuNormalized, allowPrefix);
+    }
+
+    if (fields.includes('barcode')) {
+      const barcodeNormalized = this.normalizeBarcode(searchTerm);
+      if (barcodeNormalized && barcodeNormalized.length >= 2) collect('barcode', barcodeNormalized, false);
+    }
+
+    const vendor = this.normalizeVendor(options.vendor);
+    const historyCutoff = new Date(Date.now() - this.historyRetentionDays * 86400000)
+      .toISOString().replace('T', ' ').slice(0, 19);
+
+    return matches.filter(({ posting }) => {
+      const { row } = posting.entry;
+
+      if (posting.historical && (this.historyRetentionDays <= 0 || posting.replaced_at < historyCutoff)) return false;
+      if (vendor && row.manufacturer_normalized !== vendor) return false;
+      if (options.available && row.available_for_sale !== 1) return false;
+      if (!options.includeHidden && !isVisible(row)) return false;
+      return true;
     });
   }
 
-  async createTables() {
-    return new Promise((resolve, reject) => {
-      const sql = `
-        -- Variant Lookups Table (MPN search index)
-        CREATE TABLE IF NOT EXISTS variant_lookups (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          variant_id TEXT NOT NULL UNIQUE,
-          product_id TEXT NOT NULL,
-          product_handle TEXT NOT NULL,
-          product_title TEXT NOT NULL,
-          variant_title TEXT,
-          image_url TEXT,
-          mpn TEXT,
-          mpn_normalized TEXT,
-          sku TEXT,
-          price TEXT,
-          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        );
+  // ========== INDEX VERSION ==========
 
-        -- Sync Status Table (track sync jobs)
-        CREATE TABLE IF NOT EXISTS sync_status (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          shop TEXT NOT NULL,
-          sync_type TEXT NOT NULL,
-          status TEXT NOT NULL,
-          total_variants INTEGER DEFAULT 0,
-          processed_variants INTEGER DEFAULT 0,
-          indexed_variants INTEGER DEFAULT 0,
-          error_message TEXT,
-          started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          completed_at DATETIME
-        );
+  /**
+   * Load the persisted index version and bump it once, so responses cached
+   * before a restart (possibly by an older release) are never revalidated
+   */
+  async loadIndexVersion() {
+    const { version } = await this.get('SELECT version FROM index_version WHERE id = 1');
+    this.indexVersion = version;
+    await this.bumpIndexVersion();
+  }
 
-        -- Settings Table
-        CREATE TABLE IF NOT EXISTS settings (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          setting_key TEXT NOT NULL UNIQUE,
-          setting_value TEXT NOT NULL,
-          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        );
+  /**
+   * Increment the index version (ETag of search responses)
+   * The in-memory value changes synchronously, so it is monotonic even
+   * when writes overlap.
+   */
+  async bumpIndexVersion() {
+    this.indexVersion++;
+    await this.run('UPDATE index_version SET version = MAX(version, ?) WHERE id = 1', [this.indexVersion]);
+  }
 
-        -- Indexes for fast MPN lookup
-        CREATE INDEX IF NOT EXISTS idx_variant_lookups_mpn ON variant_lookups(mpn);
-        CREATE INDEX IF NOT EXISTS idx_variant_lookups_mpn_normalized ON variant_lookups(mpn_normalized);
-        CREATE INDEX IF NOT EXISTS idx_variant_lookups_product_id ON variant_lookups(product_id);
-        CREATE INDEX IF NOT EXISTS idx_variant_lookups_sku ON variant_lookups(sku);
-        CREATE INDEX IF NOT EXISTS idx_sync_status_shop ON sync_status(shop);
-      `;
+  // ========== MPN HISTORY ==========
 
-      this.db.exec(sql, (err) => {
-        if (err) reject(err);
-        else resolve();
-      });
-    });
+  async loadHistoryRetention() {
+    this.historyRetentionDays = await this.getSetting('mpnHistoryRetentionDays');
   }
 
-  async runMigrations() {
-    console.log('🔄 Running database migrations...');
-    // Future migrations go here
-    console.log('✅ All migrations completed');
+  /**
+   * Save the retention period and drop history that is now expired
+   */
+  async setHistoryRetention(days) {
+    await this.setSetting('mpnHistoryRetentionDays', days);
+    this.historyRetentionDays = days;
+    return this.pruneMpnHistory();
   }
 
-  // ========== MPN NORMALIZATION ==========
-  
   /**
-   * Normalize MPN for search matching
-   * Strips all non-alphanumeric characters and uppercases
-   * "7665-PP" -> "7665PP"
-   * "ABC 123-X" -> "ABC123X"
+   * datetime() modifier for the oldest replaced_at still searchable
    */
-  normalizeMpn(mpn) {
-    if (!mpn) return null;
-    return mpn.replace(/[^A-Z0-9]/gi, '').toUpperCase();
+  historyCutoff() {
+    return `-${this.historyRetentionDays} days`;
   }
 
-  // ========== VARIANT LOOKUPS (MPN INDEX) ==========
+  /**
+   * Remember a variant's previous MPN when it changes (prepared holds
+   * WRITE_VARIANT_STATEMENTS)
+   * A number that becomes current again is removed from the history.
+   */
+  async recordMpnHistory(prepared, variantId, previousMpn, currentNormalized) {
+    await this.runStatement(prepared.deleteHistory, [variantId, currentNormalized]);
+
+    const previousNormalized = this.normalizeStoredMpn(previousMpn);
+    if (!previousNormalized || previousNormalized === currentNormalized || this.historyRetentionDays <= 0) {
+      return;
+    }
+
+    await this.runStatement(prepared.upsertHistory, [variantId, previousMpn, previousNormalized]);
+  }
 
   /**
-   * Upsert a variant into the search index
+   * Delete history older than the retention period
    */
-  async upsertVariant(variant) {
-    const {
-      variant_id,
-      product_id,
-      product_handle,
-      product_title,
-      variant_title,
-      image_url,
-      mpn,
-      sku,
-      price
-    } = variant;
-
-    const mpn_normalized = this.normalizeMpn(mpn);
+  async pruneMpnHistory() {
+    const result = await this.run(
+      "DELETE FROM mpn_history WHERE replaced_at < datetime('now', ?)",
+      [this.historyCutoff()]
+    );
 
-    return new Promise((resolve, reject) => {
-      this.db.run(`
-        INSERT INTO variant_lookups 
-          (variant_id, product_id, product_handle, product_title, variant_title, image_url, mpn, mpn_normalized, sku, price, updated_at)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
-        ON CONFLICT(variant_id) DO UPDATE SET
-          product_id = excluded.product_id,
-          product_handle = excluded.product_handle,
-          product_title = excluded.product_title,
-          variant_title = excluded.variant_title,
-          image_url = excluded.image_url,
-          mpn = excluded.mpn,
-          mpn_normalized = excluded.mpn_normalized,
-          sku = excluded.sku,
-          price = excluded.price,
-          updated_at = CURRENT_TIMESTAMP
-      `, [variant_id, product_id, product_handle, product_title, variant_title, image_url, mpn, mpn_normalized, sku, price],
-      function(err) {
-        if (err) reject(err);
-        else resolve({ id: this.lastID, changes: this.changes });
-      });
-    });
+    if (result.changes > 0) {
+      await this.bumpIndexVersion();
+    }
+    return result;
   }
 
   /**
-   * Bulk upsert variants (for initial sync)
+   * Previous MPNs of one variant, newest first
    */
-  async bulkUpsertVariants(variants) {
-    let indexed = 0;
-    let skipped = 0;
-
-    for (const variant of variants) {
-      // Only index variants that have an MPN
-      if (variant.mpn) {
-        await this.upsertVariant(variant);
-        indexed++;
-      } else {
-        skipped++;
-      }
+  async getMpnHistory(variantId) {
+    return this.all(
+      'SELECT * FROM mpn_history WHERE variant_id = ? ORDER BY replaced_at DESC, id DESC',
+      [variantId]
+    );
+  }
+
+  // ========== SEARCH ANALYTICS ==========
+
+  async loadAnalyticsSettings() {
+    this.analyticsSampleRate = await this.getSetting('analyticsSampleRate');
+    this.analyticsRetentionDays = await this.getSetting('analyticsRetentionDays');
+    await this.maintainAnalytics();
+  }
+
+  async setAnalyticsSampleRate(rate) {
+    await this.setSetting('analyticsSampleRate', rate);
+    this.analyticsSampleRate = rate;
+  }
+
+  /**
+   * Save the retention period and drop log rows that are now expired
+   */
+  async setAnalyticsRetention(days) {
+    await this.setSetting('analyticsRetentionDays', days);
+    this.analyticsRetentionDays = days;
+    await this.maintainAnalytics();
+  }
+
+  /**
+   * Term as stored in the analytics tables, plus its grouping key:
+   * spellings of the same part number ("7665-pp", "7665PP") share one;
+   * terms with no letters or digits fall back to lowercase.
+   */
+  analyticsTerm(term) {
+    const logged = term.slice(0, MAX_LOGGED_TERM_LENGTH);
+    return { term: logged, term_normalized: this.normalizeMpn(logged) || logged.toLowerCase() };
+  }
+
+  /**
+   * Record a storefront search, subject to the analyticsSampleRate setting
+   * Returns null when the search was not sampled.
+   */
+  async logSearchQuery({ term, mode, resultCount, latencyMs, origin }) {
+    if (Math.random() >= this.analyticsSampleRate) {
+      return null;
+    }
+
+    const logged = this.analyticsTerm(term);
+    const result = await this.run(`
+      INSERT INTO search_queries (term, term_normalized, mode, result_count, latency_ms, origin)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [logged.term, logged.term_normalized, mode, resultCount, latencyMs, origin || null]);
+
+    if (Date.now() - this.analyticsPrunedAt > ANALYTICS_PRUNE_INTERVAL_MS) {
+      await this.maintainAnalytics();
     }
 
-    return { indexed, skipped };
+    return result;
   }
 
   /**
-   * Search by MPN (exact match on normalized value)
+   * Record the suggestion a shopper picked (position is 1-based)
+   * Clicks are not sampled: they also feed variant popularity.
    */
-  async searchByMpn(searchTerm, limit = 10) {
-    const normalized = this.normalizeMpn(searchTerm);
-    
-    if (!normalized || normalized.length < 2) {
-      return [];
+  async logSearchClick({ term, variantId, position }) {
+    const logged = this.analyticsTerm(term);
+    const result = await this.run(`
+      INSERT INTO search_clicks (term, term_normalized, variant_id, position)
+      VALUES (?, ?, ?, ?)
+    `, [logged.term, logged.term_normalized, variantId, position]);
+
+    if (Date.now() - this.analyticsPrunedAt > ANALYTICS_PRUNE_INTERVAL_MS) {
+      await this.maintainAnalytics();
     }
 
-    return new Promise((resolve, reject) => {
-      // Exact match on normalized MPN
-      this.db.all(`
-        SELECT 
-          variant_id,
-          product_id,
-          product_handle,
-          product_title,
-          variant_title,
-          image_url,
-          mpn,
-          sku,
-          price
-        FROM variant_lookups
-        WHERE mpn_normalized = ?
-        LIMIT ?
-      `, [normalized, limit], (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows || []);
-      });
-    });
+    return result;
   }
 
   /**
-   * Delete a variant from the index
+   * Drop expired log rows and take a new popularity snapshot
+   * Search only sees popularity change here, together with the index
+   * version, so cached search responses stay consistent.
    */
-  async deleteVariant(variantId) {
-    return new Promise((resolve, reject) => {
-      this.db.run(
-        'DELETE FROM variant_lookups WHERE variant_id = ?',
-        [variantId],
-        function(err) {
-          if (err) reject(err);
-          else resolve({ changes: this.changes });
-        }
-      );
-    });
+  async maintainAnalytics() {
+    this.analyticsPrunedAt = Date.now();
+    await this.pruneSearchQueries();
+    await this.loadPopularity();
+    await this.bumpIndexVersion();
   }
 
   /**
-   * Delete all variants for a product
+   * Delete searches and clicks older than the retention period
    */
-  async deleteProductVariants(productId) {
-    return new Promise((resolve, reject) => {
-      this.db.run(
-        'DELETE FROM variant_lookups WHERE product_id = ?',
-        [productId],
-        function(err) {
-          if (err) reject(err);
-          else resolve({ changes: this.changes });
-        }
-      );
-    });
+  async pruneSearchQueries() {
+    const cutoff = `-${this.analyticsRetentionDays} days`;
+    await this.run("DELETE FROM search_clicks WHERE created_at < datetime('now', ?)", [cutoff]);
+    return this.run("DELETE FROM search_queries WHERE created_at < datetime('now', ?)", [cutoff]);
   }
 
   /**
-   * Clear entire index (for full resync)
+   * Popularity = clicks on the variant within the retention period
    */
-  async clearIndex() {
-    return new Promise((resolve, reject) => {
-      this.db.run('DELETE FROM variant_lookups', function(err) {
-        if (err) reject(err);
-        else resolve({ changes: this.changes });
-      });
-    });
+  async loadPopularity() {
+    const rows = await this.all('SELECT variant_id, COUNT(*) as clicks FROM search_clicks GROUP BY variant_id');
+    this.popularity = new Map(rows.map(row => [row.variant_id, row.clicks]));
+  }
+
+  getPopularity(variantId) {
+    return this.popularity.get(variantId) || 0;
   }
 
   /**
-   * Get index statistics
+   * Click-through rate per searched term: clicks / searches
+   * Searches are sampled, so the count is scaled up by the current
+   * analyticsSampleRate; the rate is an estimate when sampling is on.
    */
-  async getIndexStats() {
-    return new Promise((resolve, reject) => {
-      this.db.get(`
-        SELECT 
-          COUNT(*) as total_variants,
-          COUNT(DISTINCT product_id) as total_products,
-          COUNT(mpn) as variants_with_mpn,
-          MAX(updated_at) as last_updated
-        FROM variant_lookups
-      `, (err, row) => {
-        if (err) reject(err);
-        else resolve(row || { total_variants: 0, total_products: 0, variants_with_mpn: 0 });
-      });
-    });
+  async getClickThrough(days, limit) {
+    const since = `-${days} days`;
+    const rows = await this.all(`
+      WITH searches AS (
+        SELECT term, term_normalized, COUNT(*) as searches, MAX(created_at) as last_searched_at
+        FROM search_queries
+        WHERE created_at >= datetime('now', ?)
+        GROUP BY term_normalized
+      ),
+      clicks AS (
+        SELECT term_normalized, COUNT(*) as clicks, AVG(position) as avg_position
+        FROM search_clicks
+        WHERE created_at >= datetime('now', ?)
+        GROUP BY term_normalized
+      )
+      SELECT s.term, s.term_normalized, s.searches, COALESCE(c.clicks, 0) as clicks, c.avg_position
+      FROM searches s
+      LEFT JOIN clicks c ON c.term_normalized = s.term_normalized
+      ORDER BY s.searches DESC, s.last_searched_at DESC
+      LIMIT ?
+    `, [since, since, limit]);
+
+    return rows.map(row => ({
+      ...row,
+      avg_position: row.avg_position == null ? null : Math.round(row.avg_position * 10) / 10,
+      click_through_rate: this.analyticsSampleRate > 0
+        ? Math.round((row.clicks / (row.searches / this.analyticsSampleRate)) * 1000) / 1000
+        : null
+    }));
+  }
+
+  /**
+   * Most clicked variants in the popularity snapshot, with their MPN
+   */
+  async getPopularVariants(limit) {
+    const top = [...this.popularity]
+      .sort((a, b) => b[1] - a[1] || compareStrings(a[0], b[0]))
+      .slice(0, limit);
+
+    if (top.length === 0) return [];
+
+    const variants = await this.all(`
+      SELECT variant_id, product_title, variant_title, mpn
+      FROM variant_lookups
+      WHERE variant_id IN (${top.map(() => '?').join(', ')})
+    `, top.map(([variantId]) => variantId));
+    const byId = new Map(variants.map(row => [row.variant_id, row]));
+
+    return top.map(([variantId, clicks]) => ({
+      variant_id: variantId,
+      product_title: byId.get(variantId)?.product_title ?? null,
+      variant_title: byId.get(variantId)?.variant_title ?? null,
+      mpn: byId.get(variantId)?.mpn ?? null,
+      popularity: clicks
+    }));
+  }
+
+  /**
+   * Totals and latency percentiles for the last `days` days
+   */
+  async getSearchSummary(days) {
+    const since = `-${days} days`;
+    const totals = await this.get(`
+      SELECT
+        COUNT(*) as searches,
+        COALESCE(SUM(result_count = 0), 0) as zero_result_searches,
+        COUNT(DISTINCT term_normalized) as unique_terms
+      FROM search_queries
+      WHERE created_at >= datetime('now', ?)
+    `, [since]);
+
+    const { clicks } = await this.get(
+      "SELECT COUNT(*) as clicks FROM search_clicks WHERE created_at >= datetime('now', ?)",
+      [since]
+    );
+
+    const latency = await this.get(`
+      SELECT ${LATENCY_PERCENTILE_COLUMNS}
+      FROM (
+        SELECT
+          latency_ms,
+          ROW_NUMBER() OVER (ORDER BY latency_ms) as position,
+          COUNT(*) OVER () as total
+        FROM search_queries
+        WHERE created_at >= datetime('now', ?)
+      )
+    `, [since]);
+
+    return {
+      ...totals,
+      zero_result_rate: totals.searches > 0
+        ? Math.round((totals.zero_result_searches / totals.searches) * 1000) / 1000
+        : null,
+      ...latency,
+      clicks,
+      click_through_rate: totals.searches > 0 && this.analyticsSampleRate > 0
+        ? Math.round((clicks / (totals.searches / this.analyticsSampleRate)) * 1000) / 1000
+        : null,
+      sample_rate: this.analyticsSampleRate,
+      retention_days: this.analyticsRetentionDays
+    };
+  }
+
+  /**
+   * Most searched terms, grouped by normalized term
+   * term is the most recent spelling (SQLite takes bare columns from the
+   * row that produced MAX(created_at)).
+   */
+  async getTopQueries(days, limit) {
+    return this.all(`
+      SELECT
+        term,
+        term_normalized,
+        COUNT(*) as searches,
+        SUM(result_count = 0) as zero_result_searches,
+        ROUND(AVG(result_count), 1) as avg_results,
+        MAX(created_at) as last_searched_at
+      FROM search_queries
+      WHERE created_at >= datetime('now', ?)
+      GROUP BY term_normalized
+      ORDER BY searches DESC, last_searched_at DESC
+      LIMIT ?
+    `, [`-${days} days`, limit]);
+  }
+
+  /**
+   * Most searched terms that found nothing
+   */
+  async getZeroResultQueries(days, limit) {
+    return this.all(`
+      SELECT
+        term,
+        term_normalized,
+        COUNT(*) as searches,
+        MAX(created_at) as last_searched_at
+      FROM search_queries
+      WHERE created_at >= datetime('now', ?) AND result_count = 0
+      GROUP BY term_normalized
+      ORDER BY searches DESC, last_searched_at DESC
+      LIMIT ?
+    `, [`-${days} days`, limit]);
+  }
+
+  /**
+   * Searches and latency percentiles per hour or day (UTC), oldest first
+   */
+  async getSearchLatency(days, interval) {
+    return this.all(`
+      SELECT
+        period,
+        COUNT(*) as searches,
+        SUM(result_count = 0) as zero_result_searches,
+        ${LATENCY_PERCENTILE_COLUMNS}
+      FROM (
+        SELECT
+          period,
+          latency_ms,
+          result_count,
+          ROW_NUMBER() OVER (PARTITION BY period ORDER BY latency_ms) as position,
+          COUNT(*) OVER (PARTITION BY period) as total
+        FROM (
+          SELECT strftime(?, created_at) as period, latency_ms, result_count
+          FROM search_queries
+          WHERE created_at >= datetime('now', ?)
+        )
+      )
+      GROUP BY period
+      ORDER BY period
+    `, [ANALYTICS_INTERVALS[interval], `-${days} days`]);
   }
 
   // ========== SYNC STATUS ==========
 
   async createSyncJob(shop, syncType) {
-    return new Promise((resolve, reject) => {
-      this.db.run(`
-        INSERT INTO sync_status (shop, sync_type, status)
-        VALUES (?, ?, 'running')
-      `, [shop, syncType], function(err) {
-        if (err) reject(err);
-        else resolve({ id: this.lastID });
-      });
-    });
+    const { id } = await this.run(`
+      INSERT INTO sync_status (shop, sync_type, status)
+      VALUES (?, ?, 'running')
+    `, [shop, syncType]);
+
+    return { id };
   }
 
   async updateSyncJob(id, updates) {
@@ -296,27 +2844,22 @@ class DatabaseManager {
 
     values.push(id);
 
-    return new Promise((resolve, reject) => {
-      this.db.run(
-        `UPDATE sync_status SET ${fields.join(', ')} WHERE id = ?`,
-        values,
-        function(err) {
-          if (err) reject(err);
-          else resolve({ changes: this.changes });
-        }
-      );
-    });
+    return this.run(`UPDATE sync_status SET ${fields.join(', ')} WHERE id = ?`, values);
   }
 
   async completeSyncJob(id, status, indexedVariants, errorMessage = null) {
+    return this.run(`
+      UPDATE sync_status 
+      SET status = ?, indexed_variants = ?, error_message = ?, completed_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [status, indexedVariants, errorMessage, id]);
+  }
+
+  async getSyncJob(id) {
     return new Promise((resolve, reject) => {
-      this.db.run(`
-        UPDATE sync_status 
-        SET status = ?, indexed_variants = ?, error_message = ?, completed_at = CURRENT_TIMESTAMP
-        WHERE id = ?
-      `, [status, indexedVariants, errorMessage, id], function(err) {
+      this.db.get('SELECT * FROM sync_status WHERE id = ?', [id], (err, row) => {
         if (err) reject(err);
-        else resolve({ changes: this.changes });
+        else resolve(row);
       });
     });
   }
@@ -358,25 +2901,25 @@ class DatabaseManager {
         [key],
         (err, row) => {
           if (err) reject(err);
-          else resolve(row ? JSON.parse(row.setting_value) : null);
+          else resolve(row ? JSON.parse(row.setting_value) : (SETTING_DEFAULTS[key] ?? null));
         }
       );
     });
   }
 
   async setSetting(key, value) {
-    return new Promise((resolve, reject) => {
-      this.db.run(`
-        INSERT INTO settings (setting_key, setting_value, updated_at)
-        VALUES (?, ?, CURRENT_TIMESTAMP)
-        ON CONFLICT(setting_key) DO UPDATE SET
-          setting_value = excluded.setting_value,
-          updated_at = CURRENT_TIMESTAMP
-      `, [key, JSON.stringify(value)], function(err) {
-        if (err) reject(err);
-        else resolve({ changes: this.changes });
-      });
-    });
+    const result = await this.run(`
+      INSERT INTO settings (setting_key, setting_value, updated_at)
+      VALUES (?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(setting_key) DO UPDATE SET
+        setting_value = excluded.setting_value,
+        updated_at = CURRENT_TIMESTAMP
+    `, [key, JSON.stringify(value)]);
+
+    if (SEARCH_SETTINGS.includes(key)) {
+      await this.bumpIndexVersion();
+    }
+    return result;
   }
 
   async getAllSettings() {
@@ -384,7 +2927,7 @@ class DatabaseManager {
       this.db.all('SELECT * FROM settings', (err, rows) => {
         if (err) reject(err);
         else {
-          const settings = {};
+          const settings = { ...SETTING_DEFAULTS };
           (rows || []).forEach(row => {
             settings[row.setting_key] = JSON.parse(row.setting_value);
           });
@@ -411,4 +2954,51 @@ class DatabaseManager {
   }
 }
 
+/**
+ * JavaScript version of VISIBLE_CONDITION
+ */
+function isVisible(row) {
+  return row.product_status == null || (row.product_status === 'ACTIVE' && row.published_at != null);
+}
+
+/**
+ * Binary string comparison (SQLite's default collation)
+ */
+function compareStrings(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Map of key -> rows sharing that column value
+ */
+function groupBy(rows, key) {
+  const groups = new Map();
+  for (const row of rows) {
+    const group = groups.get(row[key]) || [];
+    group.push(row);
+    groups.set(row[key], group);
+  }
+  return groups;
+}
+
+/**
+ * Rule query as stored and compared: trimmed, single spaces
+ */
+function ruleQueryText(query) {
+  return String(query).trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * search_rules row with pinned_variant_ids decoded
+ */
+function parseSearchRule(row) {
+  return { ...row, pinned_variant_ids: row.pinned_variant_ids ? JSON.parse(row.pinned_variant_ids) : null };
+}
+
+DatabaseManager.SEARCH_FIELDS = SEARCH_FIELDS;
+DatabaseManager.ALIAS_TYPES = ALIAS_TYPES;
+DatabaseManager.RULE_MATCH_TYPES = RULE_MATCH_TYPES;
+DatabaseManager.RANKING_SIGNALS = Object.keys(SETTING_DEFAULTS.rankingWeights);
+DatabaseManager.ANALYTICS_INTERVALS = Object.keys(ANALYTICS_INTERVALS);
+
 module.exports = DatabaseManager;
@@ -5,9 +5,10 @@ import '@shopify/polaris/build/esm/styles.css';
 // Import pages
 import Dashboard from './pages/Dashboard';
 import Settings from './pages/Settings';
+import Analytics from './pages/Analytics';
 
 // Icons
-import { HomeIcon, SettingsIcon } from '@shopify/polaris-icons';
+import { HomeIcon, SettingsIcon, ChartVerticalIcon } from '@shopify/polaris-icons';
 
 export default function App() {
   const [selectedNavItem, setSelectedNavItem] = useState('dashboard');
@@ -28,6 +29,12 @@ export default function App() {
             onClick: () => setSelectedNavItem('dashboard'),
             selected: selectedNavItem === 'dashboard',
           },
+          {
+            label: 'Analytics',
+            icon: ChartVerticalIcon,
+            onClick: () => setSelectedNavItem('analytics'),
+            selected: selectedNavItem === 'analytics',
+          },
           {
             label: 'Settings',
             icon: SettingsIcon,
@@ -43,6 +50,8 @@ export default function App() {
     switch (selectedNavItem) {
       case 'dashboard':
         return <Dashboard />;
+      case 'analytics':
+        return <Analytics />;
       case 'settings':
         return <Settings />;
       default:
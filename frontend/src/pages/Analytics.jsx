@@ -0,0 +1,424 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Page,
+  Layout,
+  Card,
+  Text,
+  BlockStack,
+  InlineStack,
+  Box,
+  InlineGrid,
+  Divider,
+  Button,
+  Spinner,
+  Banner,
+  TextField,
+  Select,
+  DataTable,
+} from '@shopify/polaris';
+import { RefreshIcon } from '@shopify/polaris-icons';
+
+// Reporting windows offered in the range picker
+const RANGE_OPTIONS = [
+  { label: 'Last 24 hours', value: '1' },
+  { label: 'Last 7 days', value: '7' },
+  { label: 'Last 30 days', value: '30' },
+  { label: 'Last 90 days', value: '90' },
+];
+
+export default function Analytics() {
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [days, setDays] = useState('7');
+
+  // Data state
+  const [summary, setSummary] = useState(null);
+  const [topQueries, setTopQueries] = useState([]);
+  const [zeroResults, setZeroResults] = useState([]);
+  const [latency, setLatency] = useState({ interval: 'day', periods: [] });
+  const [clickThrough, setClickThrough] = useState([]);
+  const [popularVariants, setPopularVariants] = useState([]);
+
+  // Collection settings state
+  const [samplePercent, setSamplePercent] = useState('100');
+  const [retentionDays, setRetentionDays] = useState('90');
+  const [savingCollection, setSavingCollection] = useState(false);
+
+  const fetchData = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const [summaryRes, topRes, zeroRes, latencyRes, clickRes, popularRes] = await Promise.all([
+        fetch(`/api/analytics/summary?days=${days}`),
+        fetch(`/api/analytics/top-queries?days=${days}`),
+        fetch(`/api/analytics/zero-results?days=${days}`),
+        fetch(`/api/analytics/latency?days=${days}`),
+        fetch(`/api/analytics/click-through?days=${days}`),
+        fetch('/api/analytics/popular-variants?limit=10'),
+      ]);
+
+      const summaryData = await summaryRes.json();
+      setSummary(summaryData);
+      setTopQueries(await topRes.json());
+      setZeroResults(await zeroRes.json());
+      setLatency(await latencyRes.json());
+      setClickThrough(await clickRes.json());
+      setPopularVariants(await popularRes.json());
+
+      setSamplePercent(String(Math.round(summaryData.sample_rate * 100)));
+      setRetentionDays(String(summaryData.retention_days));
+    } catch (err) {
+      console.error('Error fetching analytics:', err);
+      setError('Failed to load search analytics');
+    } finally {
+      setLoading(false);
+    }
+  }, [days]);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  const collectionValid = /^\d+$/.test(samplePercent) && parseInt(samplePercent, 10) <= 100 &&
+    /^\d+$/.test(retentionDays) && parseInt(retentionDays, 10) >= 1;
+
+  // Save sampling and retention
+  const handleSaveCollection = async () => {
+    setSavingCollection(true);
+    try {
+      const res = await fetch('/api/settings', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          analyticsSampleRate: parseInt(samplePercent, 10) / 100,
+          analyticsRetentionDays: parseInt(retentionDays, 10),
+        }),
+      });
+      const data = await res.json();
+      if (res.ok) {
+        setSuccess('Analytics collection saved');
+        setTimeout(() => setSuccess(null), 3000);
+        fetchData();
+      } else {
+        setError(data.error || 'Failed to save analytics collection');
+      }
+    } catch (err) {
+      setError('Failed to save analytics collection');
+    } finally {
+      setSavingCollection(false);
+    }
+  };
+
+  const formatDate = (dateStr) => {
+    if (!dateStr) return '--';
+    return new Date(`${dateStr.replace(' ', 'T')}Z`).toLocaleString();
+  };
+
+  const formatMs = (value) => (value == null ? '--' : `${value} ms`);
+
+  const formatRate = (value) => (value == null ? '--' : `${(value * 100).toFixed(1)}%`);
+
+  if (loading && !summary) {
+    return (
+      <Page title="Search Analytics">
+        <Layout>
+          <Layout.Section>
+            <Card>
+              <Box padding="800" minHeight="400px">
+                <InlineStack align="center" blockAlign="center">
+                  <Spinner size="large" />
+                </InlineStack>
+              </Box>
+            </Card>
+          </Layout.Section>
+        </Layout>
+      </Page>
+    );
+  }
+
+  return (
+    <Page
+      title="Search Analytics"
+      primaryAction={
+        <InlineStack gap="300" blockAlign="center">
+          <Select
+            label="Range"
+            labelHidden
+            options={RANGE_OPTIONS}
+            value={days}
+            onChange={setDays}
+          />
+          <Button icon={RefreshIcon} onClick={fetchData} loading={loading}>
+            Refresh
+          </Button>
+        </InlineStack>
+      }
+    >
+      <BlockStack gap="500">
+        {error && (
+          <Banner tone="critical" onDismiss={() => setError(null)}>
+            {error}
+          </Banner>
+        )}
+
+        {success && (
+          <Banner tone="success" onDismiss={() => setSuccess(null)}>
+            {success}
+          </Banner>
+        )}
+
+        {summary?.sample_rate < 1 && (
+          <Banner tone="info">
+            {`Only ${Math.round(summary.sample_rate * 100)}% of searches are logged, so counts are a sample.`}
+          </Banner>
+        )}
+
+        {/* Summary Grid */}
+        <InlineGrid columns={{ xs: 1, md: 4 }} gap="500">
+          <Card>
+            <Box padding="400">
+              <BlockStack gap="200">
+                <Text variant="bodySm" tone="subdued">Searches</Text>
+                <Text variant="headingXl">{summary?.searches?.toLocaleString() || 0}</Text>
+                <Text variant="bodySm" tone="subdued">
+                  {`${summary?.unique_terms?.toLocaleString() || 0} unique terms`}
+                </Text>
+              </BlockStack>
+            </Box>
+          </Card>
+
+          <Card>
+            <Box padding="400">
+              <BlockStack gap="200">
+                <Text variant="bodySm" tone="subdued">Click-Through Rate</Text>
+                <Text variant="headingXl">{formatRate(summary?.click_through_rate)}</Text>
+                <Text variant="bodySm" tone="subdued">
+                  {`${summary?.clicks?.toLocaleString() || 0} suggestions picked`}
+                </Text>
+              </BlockStack>
+            </Box>
+          </Card>
+
+          <Card>
+            <Box padding="400">
+              <BlockStack gap="200">
+                <Text variant="bodySm" tone="subdued">Zero-Result Rate</Text>
+                <Text variant="headingXl">{formatRate(summary?.zero_result_rate)}</Text>
+                <Text variant="bodySm" tone="subdued">
+                  {`${summary?.zero_result_searches?.toLocaleString() || 0} searches found nothing`}
+                </Text>
+              </BlockStack>
+            </Box>
+          </Card>
+
+          <Card>
+            <Box padding="400">
+              <BlockStack gap="200">
+                <Text variant="bodySm" tone="subdued">Latency (p50)</Text>
+                <Text variant="headingXl">{formatMs(summary?.p50_ms)}</Text>
+                <Text variant="bodySm" tone="subdued">
+                  {`p95 ${formatMs(summary?.p95_ms)} · p99 ${formatMs(summary?.p99_ms)}`}
+                </Text>
+              </BlockStack>
+            </Box>
+          </Card>
+        </InlineGrid>
+
+        <InlineGrid columns={{ xs: 1, md: 2 }} gap="500">
+          {/* Top Queries */}
+          <Card>
+            <BlockStack gap="400">
+              <Box padding="400" paddingBlockEnd="0">
+                <Text variant="headingMd" as="h3">Top Queries</Text>
+              </Box>
+              <Divider />
+              <Box padding="400" paddingBlockStart="0">
+                {topQueries.length > 0 ? (
+                  <DataTable
+                    columnContentTypes={['text', 'numeric', 'numeric']}
+                    headings={['Term', 'Searches', 'Avg. Results']}
+                    rows={topQueries.map(q => [q.term, q.searches.toLocaleString(), q.avg_results])}
+                  />
+                ) : (
+                  <Box padding="400">
+                    <Text tone="subdued" alignment="center">No searches in this period</Text>
+                  </Box>
+                )}
+              </Box>
+            </BlockStack>
+          </Card>
+
+          {/* Zero-Result Queries */}
+          <Card>
+            <BlockStack gap="400">
+              <Box padding="400" paddingBlockEnd="0">
+                <BlockStack gap="100">
+                  <Text variant="headingMd" as="h3">Zero-Result Queries</Text>
+                  <Text variant="bodySm" tone="subdued">
+                    Candidates for cross-references or missing MPN metafields
+                  </Text>
+                </BlockStack>
+              </Box>
+              <Divider />
+              <Box padding="400" paddingBlockStart="0">
+                {zeroResults.length > 0 ? (
+                  <DataTable
+                    columnContentTypes={['text', 'numeric', 'text']}
+                    headings={['Term', 'Searches', 'Last Searched']}
+                    rows={zeroResults.map(q => [q.term, q.searches.toLocaleString(), formatDate(q.last_searched_at)])}
+                  />
+                ) : (
+                  <Box padding="400">
+                    <Text tone="subdued" alignment="center">Every search found something</Text>
+                  </Box>
+                )}
+              </Box>
+            </BlockStack>
+          </Card>
+        </InlineGrid>
+
+        <InlineGrid columns={{ xs: 1, md: 2 }} gap="500">
+          {/* Click-Through by Term */}
+          <Card>
+            <BlockStack gap="400">
+              <Box padding="400" paddingBlockEnd="0">
+                <Text variant="headingMd" as="h3">Click-Through by Term</Text>
+              </Box>
+              <Divider />
+              <Box padding="400" paddingBlockStart="0">
+                {clickThrough.length > 0 ? (
+                  <DataTable
+                    columnContentTypes={['text', 'numeric', 'numeric', 'numeric', 'numeric']}
+                    headings={['Term', 'Searches', 'Clicks', 'CTR', 'Avg. Position']}
+                    rows={clickThrough.map(q => [
+                      q.term,
+                      q.searches.toLocaleString(),
+                      q.clicks.toLocaleString(),
+                      formatRate(q.click_through_rate),
+                      q.avg_position ?? '--'
+                    ])}
+                  />
+                ) : (
+                  <Box padding="400">
+                    <Text tone="subdued" alignment="center">No searches in this period</Text>
+                  </Box>
+                )}
+              </Box>
+            </BlockStack>
+          </Card>
+
+          {/* Most Clicked Variants */}
+          <Card>
+            <BlockStack gap="400">
+              <Box padding="400" paddingBlockEnd="0">
+                <BlockStack gap="100">
+                  <Text variant="headingMd" as="h3">Most Clicked Variants</Text>
+                  <Text variant="bodySm" tone="subdued">
+                    Popularity used by sort=popularity, updated hourly
+                  </Text>
+                </BlockStack>
+              </Box>
+              <Divider />
+              <Box padding="400" paddingBlockStart="0">
+                {popularVariants.length > 0 ? (
+                  <DataTable
+                    columnContentTypes={['text', 'text', 'numeric']}
+                    headings={['Product', 'MPN', 'Clicks']}
+                    rows={popularVariants.map(v => [
+                      v.variant_title ? `${v.product_title} - ${v.variant_title}` : (v.product_title || v.variant_id),
+                      v.mpn || '--',
+                      v.popularity.toLocaleString()
+                    ])}
+                  />
+                ) : (
+                  <Box padding="400">
+                    <Text tone="subdued" alignment="center">No clicks recorded yet</Text>
+                  </Box>
+                )}
+              </Box>
+            </BlockStack>
+          </Card>
+        </InlineGrid>
+
+        {/* Latency Over Time */}
+        <Card>
+          <BlockStack gap="400">
+            <Box padding="400" paddingBlockEnd="0">
+              <Text variant="headingMd" as="h3">
+                {`Latency by ${latency.interval === 'hour' ? 'Hour' : 'Day'} (UTC)`}
+              </Text>
+            </Box>
+            <Divider />
+            <Box padding="400" paddingBlockStart="0">
+              {latency.periods?.length > 0 ? (
+                <DataTable
+                  columnContentTypes={['text', 'numeric', 'numeric', 'numeric', 'numeric', 'numeric']}
+                  headings={['Period', 'Searches', 'Zero Results', 'p50', 'p95', 'p99']}
+                  rows={latency.periods.map(p => [
+                    p.period,
+                    p.searches.toLocaleString(),
+                    p.zero_result_searches.toLocaleString(),
+                    formatMs(p.p50_ms),
+                    formatMs(p.p95_ms),
+                    formatMs(p.p99_ms)
+                  ])}
+                />
+              ) : (
+                <Box padding="400">
+                  <Text tone="subdued" alignment="center">No searches in this period</Text>
+                </Box>
+              )}
+            </Box>
+          </BlockStack>
+        </Card>
+
+        {/* Collection Settings */}
+        <Card>
+          <BlockStack gap="400">
+            <Box padding="400" paddingBlockEnd="0">
+              <InlineStack align="space-between" blockAlign="center">
+                <Text variant="headingMd" as="h3">Collection</Text>
+                <Button
+                  onClick={handleSaveCollection}
+                  loading={savingCollection}
+                  disabled={!collectionValid}
+                  size="slim"
+                  variant="primary"
+                >
+                  Save
+                </Button>
+              </InlineStack>
+            </Box>
+            <Divider />
+            <Box padding="400" paddingBlockStart="0">
+              <InlineGrid columns={{ xs: 1, md: 2 }} gap="400">
+                <TextField
+                  label="Searches logged (%)"
+                  type="number"
+                  value={samplePercent}
+                  onChange={setSamplePercent}
+                  min={0}
+                  max={100}
+                  helpText="Lower this on busy stores; 0 turns logging off"
+                  autoComplete="off"
+                />
+                <TextField
+                  label="Keep search log for (days)"
+                  type="number"
+                  value={retentionDays}
+                  onChange={setRetentionDays}
+                  min={1}
+                  max={365}
+                  helpText="Older searches are deleted"
+                  autoComplete="off"
+                />
+              </InlineGrid>
+            </Box>
+          </BlockStack>
+        </Card>
+      </BlockStack>
+    </Page>
+  );
+}
@@ -25,9 +25,13 @@ import {
   AlertTriangleIcon,
 } from '@shopify/polaris-icons';
 
+// Bulk download size for the sync progress line
+const formatMegabytes = (bytes) => `${((bytes || 0) / 1024 / 1024).toFixed(1)} MB`;
+
 export default function Dashboard() {
   const [loading, setLoading] = useState(true);
   const [syncing, setSyncing] = useState(false);
+  const [canceling, setCanceling] = useState(false);
   const [error, setError] = useState(null);
   
   // Data state
@@ -102,13 +106,14 @@ export default function Dashboard() {
     poll();
   }, [fetchData]);
 
-  // Start full sync
-  const handleFullSync = async () => {
+  // Start a full sync, or an incremental one ('incremental') that only
+  // fetches products changed since the last sync
+  const handleSync = async (type = 'full') => {
     setSyncing(true);
     setError(null);
     
     try {
-      const res = await fetch('/api/sync/full', { method: 'POST' });
+      const res = await fetch(`/api/sync/${type}`, { method: 'POST' });
       const data = await res.json();
       
       if (data.success) {
@@ -124,15 +129,37 @@ export default function Dashboard() {
     }
   };
 
+  // Cancel the running sync (responds once the job has stopped)
+  const handleCancelSync = async () => {
+    setCanceling(true);
+    
+    try {
+      const res = await fetch(`/api/sync/cancel/${syncStatus.id}`, { method: 'POST' });
+      const data = await res.json();
+      
+      if (data.success) {
+        setSyncStatus(data.job);
+        setSyncing(false);
+      } else {
+        setError(data.error || 'Failed to cancel sync');
+      }
+    } catch (err) {
+      setError('Failed to cancel sync');
+    } finally {
+      setCanceling(false);
+    }
+  };
+
   // Test search
   const handleSearch = async () => {
     if (!searchTerm.trim()) return;
     
     setSearching(true);
     try {
-      const res = await fetch(`/api/search?q=${encodeURIComponent(searchTerm)}`);
-      const results = await res.json();
-      setSearchResults(results);
+      // The test endpoint adds a per-result score breakdown
+      const res = await fetch(`/api/search/test/${encodeURIComponent(searchTerm)}`);
+      const data = await res.json();
+      setSearchResults(data.results || []);
     } catch (err) {
       console.error('Search error:', err);
     } finally {
@@ -194,14 +221,22 @@ export default function Dashboard() {
                   </Text>
                 </BlockStack>
               </InlineStack>
-              <Button
-                icon={RefreshIcon}
-                onClick={handleFullSync}
-                loading={syncing}
-                disabled={!isConfigured}
-              >
-                {syncing ? 'Syncing...' : 'Full Sync'}
-              </Button>
+              <InlineStack gap="200">
+                <Button
+                  onClick={() => handleSync('incremental')}
+                  disabled={!isConfigured || syncing}
+                >
+                  Sync Changes
+                </Button>
+                <Button
+                  icon={RefreshIcon}
+                  onClick={() => handleSync('full')}
+                  loading={syncing}
+                  disabled={!isConfigured}
+                >
+                  {syncing ? 'Syncing...' : 'Full Sync'}
+                </Button>
+              </InlineStack>
             </InlineStack>
           </Box>
         </Card>
@@ -212,19 +247,36 @@ export default function Dashboard() {
             <Box padding="400">
               <BlockStack gap="300">
                 <InlineStack align="space-between">
-                  <Text variant="headingSm">Sync in Progress</Text>
-                  <Badge tone="info">Running</Badge>
+                  <InlineStack gap="200" blockAlign="center">
+                    <Text variant="headingSm">Sync in Progress</Text>
+                    <Badge tone="info">Running</Badge>
+                  </InlineStack>
+                  <Button
+                    tone="critical"
+                    variant="plain"
+                    onClick={handleCancelSync}
+                    loading={canceling}
+                  >
+                    Cancel
+                  </Button>
                 </InlineStack>
                 <ProgressBar
                   progress={
-                    syncStatus.total_variants > 0
-                      ? (syncStatus.processed_variants / syncStatus.total_variants) * 100
-                      : 0
+                    syncStatus.bytes_total > 0
+                      ? (syncStatus.bytes_downloaded / syncStatus.bytes_total) * 100
+                      : syncStatus.total_variants > 0
+                        ? (syncStatus.processed_variants / syncStatus.total_variants) * 100
+                        : 0
                   }
                   size="small"
                 />
                 <Text variant="bodySm" tone="subdued">
                   {syncStatus.indexed_variants || 0} variants indexed
+                  {syncStatus.lines_processed > 0 &&
+                    ` · ${syncStatus.lines_processed.toLocaleString()} lines (${formatMegabytes(syncStatus.bytes_downloaded)}${
+                      syncStatus.bytes_total ? ` of ${formatMegabytes(syncStatus.bytes_total)}` : ''
+                    })`}
+                  {syncStatus.rows_per_second > 0 && ` · ${syncStatus.rows_per_second.toLocaleString()} rows/sec`}
                 </Text>
               </BlockStack>
             </Box>
@@ -232,7 +284,7 @@ export default function Dashboard() {
         )}
 
         {/* Stats Grid */}
-        <InlineGrid columns={{ xs: 1, md: 3 }} gap="500">
+        <InlineGrid columns={{ xs: 1, md: 4 }} gap="500">
           <Card>
             <Box padding="400">
               <BlockStack gap="200">
@@ -259,6 +311,20 @@ export default function Dashboard() {
               </BlockStack>
             </Box>
           </Card>
+
+          <Card>
+            <Box padding="400">
+              <BlockStack gap="200">
+                <Text variant="bodySm" tone="subdued">Hidden From Search</Text>
+                <Text variant="headingXl">{stats?.excluded_variants?.toLocaleString() || 0}</Text>
+                {stats?.excluded_variants > 0 && (
+                  <Text variant="bodySm" tone="subdued">
+                    {`Draft ${stats.excluded_draft} · Archived ${stats.excluded_archived} · Unpublished ${stats.excluded_unpublished}`}
+                  </Text>
+                )}
+              </BlockStack>
+            </Box>
+          </Card>
         </InlineGrid>
 
         {/* Test Search */}
@@ -293,13 +359,23 @@ export default function Dashboard() {
 
                 {searchResults.length > 0 ? (
                   <DataTable
-                    columnContentTypes={['text', 'text', 'text', 'text']}
-                    headings={['Product', 'Variant', 'MPN', 'SKU']}
+                    columnContentTypes={['text', 'text', 'text', 'text', 'text', 'text', 'numeric']}
+                    headings={['Product', 'Variant', 'Vendor', 'MPN', 'SKU', 'Matched On', 'Score']}
                     rows={searchResults.map(r => [
                       r.productTitle,
                       r.variantTitle || '--',
+                      r.manufacturer || r.vendor || '--',
                       r.mpn,
-                      r.sku || '--'
+                      r.sku || '--',
+                      <Badge tone={r.matchType === 'exact' ? 'success' : 'info'}>
+                        {`${r.matchedOn} (${r.matchType})`}
+                      </Badge>,
+                      <BlockStack gap="050" inlineAlign="end">
+                        <Text as="span" fontWeight="semibold">{r.score}</Text>
+                        <Text as="span" variant="bodySm" tone="subdued">
+                          {`match ${r.scoreBreakdown.matchType} · stock ${r.scoreBreakdown.inStock} · published ${r.scoreBreakdown.published} · recency ${r.scoreBreakdown.recency}`}
+                        </Text>
+                      </BlockStack>
                     ])}
                   />
                 ) : searchTerm && !searching ? (
@@ -329,6 +405,7 @@ export default function Dashboard() {
                     <Badge tone={
                       s.status === 'completed' ? 'success' :
                       s.status === 'failed' ? 'critical' :
+                      s.status === 'canceled' ? 'warning' :
                       'info'
                     }>{s.status}</Badge>,
                     s.indexed_variants?.toLocaleString() || '--',
@@ -15,8 +15,94 @@ import {
   DataTable,
   Modal,
   TextContainer,
+  Checkbox,
+  Select,
+  DropZone,
+  InlineGrid,
 } from '@shopify/polaris';
-import { ClipboardIcon, DeleteIcon, RefreshIcon } from '@shopify/polaris-icons';
+import {
+  ClipboardIcon,
+  DeleteIcon,
+  RefreshIcon,
+  PlusIcon,
+  ArrowUpIcon,
+  ArrowDownIcon,
+} from '@shopify/polaris-icons';
+import { version as storefrontScriptVersion } from '../../package.json';
+
+// Ranking weight fields (see RANKING_SIGNALS in database/setup.js)
+const RANKING_SIGNALS = [
+  { key: 'matchType', label: 'Match type', helpText: 'Exact 1, prefix 0.5, contains 0.25, fuzzy 0.2 or less' },
+  { key: 'inStock', label: 'In stock', helpText: '1 when the variant is available for sale' },
+  { key: 'published', label: 'Published', helpText: '1 when the product is active and published' },
+  { key: 'recency', label: 'Product recency', helpText: '1 for new products, 0.5 after a year' },
+];
+
+const ALIAS_TYPE_OPTIONS = [
+  { label: 'Alternate', value: 'alternate' },
+  { label: 'Legacy / superseded', value: 'legacy' },
+  { label: 'Competitor / distributor', value: 'competitor' },
+];
+
+const BADGE_OPTIONS = [
+  { label: 'Exact MPN matches', value: 'exact' },
+  { label: 'Every suggestion', value: 'all' },
+  { label: 'No badge', value: 'none' },
+];
+
+const SEARCH_RULE_MATCH_OPTIONS = [
+  { label: 'Normalized MPN', value: 'normalized' },
+  { label: 'Exact text', value: 'exact' },
+];
+
+const SEARCH_RULE_ACTION_OPTIONS = [
+  { label: 'Redirect to URL', value: 'redirect' },
+  { label: 'Pin variants first', value: 'pin' },
+];
+
+// Normalization rule types (see services/mpnNormalizer.js)
+const RULE_TYPE_OPTIONS = [
+  { label: 'Remove prefix', value: 'removePrefix' },
+  { label: 'Remove suffix', value: 'removeSuffix' },
+  { label: 'Strip regex', value: 'stripRegex' },
+  { label: 'Trim leading zeros', value: 'trimLeadingZeros' },
+  { label: 'Map characters', value: 'mapChars' },
+];
+
+// Rule -> text shown in its input field
+const ruleToText = (rule) => {
+  switch (rule.type) {
+    case 'stripRegex':
+      return rule.pattern || '';
+    case 'mapChars':
+      return Object.entries(rule.map || {}).map(([from, to]) => `${from}=${to}`).join(', ');
+    case 'trimLeadingZeros':
+      return '';
+    default:
+      return rule.value || '';
+  }
+};
+
+// Rule type + input text -> rule object
+const textToRule = (type, text) => {
+  switch (type) {
+    case 'stripRegex':
+      return { type, pattern: text };
+    case 'mapChars':
+      return {
+        type,
+        map: Object.fromEntries(
+          text.split(',')
+            .map((pair) => pair.split('=').map((part) => part.trim()))
+            .filter(([from, to]) => from && to !== undefined)
+        ),
+      };
+    case 'trimLeadingZeros':
+      return { type };
+    default:
+      return { type, value: text };
+  }
+};
 
 export default function Settings() {
   const [loading, setLoading] = useState(true);
@@ -25,6 +111,42 @@ export default function Settings() {
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
   
+  // Search fields state
+  const [searchFields, setSearchFields] = useState([]);
+  const [historyRetentionDays, setHistoryRetentionDays] = useState('365');
+  const [savingFields, setSavingFields] = useState(false);
+  
+  // Ranking weights state (input text per signal)
+  const [rankingWeights, setRankingWeights] = useState({});
+  const [savingWeights, setSavingWeights] = useState(false);
+  
+  // Normalization rules state
+  const [rules, setRules] = useState([]);
+  const [ruleTexts, setRuleTexts] = useState([]);
+  const [savingRules, setSavingRules] = useState(false);
+  const [previewSamples, setPreviewSamples] = useState('');
+  const [previewResults, setPreviewResults] = useState([]);
+  
+  // Aliases state
+  const [aliases, setAliases] = useState([]);
+  const [aliasTotal, setAliasTotal] = useState(0);
+  const [newAlias, setNewAlias] = useState({ variantId: '', alias: '', type: 'alternate' });
+  const [importing, setImporting] = useState(false);
+
+  // Storefront script options (become data attributes)
+  const [storefrontOptions, setStorefrontOptions] = useState({
+    input: "input[name='q']",
+    limit: '5',
+    badge: 'exact',
+    badgeText: 'MPN MATCH',
+    fuzzy: false,
+    trackClicks: true,
+  });
+
+  // Search rules state
+  const [searchRules, setSearchRules] = useState([]);
+  const [newSearchRule, setNewSearchRule] = useState({ query: '', matchType: 'normalized', action: 'redirect', target: '' });
+  
   // Modal state
   const [clearModalOpen, setClearModalOpen] = useState(false);
   const [clearing, setClearing] = useState(false);
@@ -35,6 +157,13 @@ export default function Settings() {
       const res = await fetch('/api/settings');
       const data = await res.json();
       setSettings(data);
+      setSearchFields(data.searchFields || ['mpn']);
+      setHistoryRetentionDays(String(data.mpnHistoryRetentionDays ?? 365));
+      setRankingWeights(Object.fromEntries(
+        Object.entries(data.rankingWeights || {}).map(([key, value]) => [key, String(value)])
+      ));
+      setRules(data.normalizationRules || []);
+      setRuleTexts((data.normalizationRules || []).map(ruleToText));
     } catch (err) {
       setError('Failed to load settings');
     } finally {
@@ -42,9 +171,32 @@ export default function Settings() {
     }
   }, []);
 
+  const fetchAliases = useCallback(async () => {
+    try {
+      const res = await fetch('/api/aliases?limit=20');
+      const data = await res.json();
+      setAliases(data.aliases || []);
+      setAliasTotal(data.total || 0);
+    } catch (err) {
+      setError('Failed to load aliases');
+    }
+  }, []);
+
+  const fetchSearchRules = useCallback(async () => {
+    try {
+      const res = await fetch('/api/rules');
+      const data = await res.json();
+      setSearchRules(data.rules || []);
+    } catch (err) {
+      setError('Failed to load search rules');
+    }
+  }, []);
+
   useEffect(() => {
     fetchSettings();
-  }, [fetchSettings]);
+    fetchAliases();
+    fetchSearchRules();
+  }, [fetchSettings, fetchAliases, fetchSearchRules]);
 
   // Copy endpoint URL to clipboard
   const copyEndpoint = () => {
@@ -54,37 +206,284 @@ export default function Settings() {
     setTimeout(() => setSuccess(null), 3000);
   };
 
-  // Generate frontend code snippet
-  const generateSnippet = () => {
-    const baseUrl = window.location.origin;
-    return `async checkMpnMatch(searchTerm) {
-  try {
-    const normalized = searchTerm.replace(/[^A-Z0-9]/gi, '').toUpperCase();
-    if (normalized.length < 2) return [];
-    
-    const response = await fetch(
-      \`${baseUrl}/api/search?q=\${encodeURIComponent(normalized)}\`
-    );
-    
-    if (!response.ok) return [];
-    
-    const matches = await response.json();
-    console.log('[MPN] Sidecar returned:', matches);
-    return matches;
-    
-  } catch (error) {
-    console.error('[MPN] Sidecar error:', error);
-    return [];
-  }
-}`;
+  // <script> tag for theme.liquid, configured with data attributes
+  const generateScriptTag = () => {
+    const { input, limit, badge, badgeText, fuzzy, trackClicks } = storefrontOptions;
+    const escape = (value) => value.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+    const attributes = [
+      input.trim() && `data-input="${escape(input.trim())}"`,
+      limit !== '5' && `data-limit="${escape(limit)}"`,
+      badge !== 'exact' && `data-badge="${badge}"`,
+      badgeText !== 'MPN MATCH' && `data-badge-text="${escape(badgeText)}"`,
+      fuzzy && 'data-fuzzy="true"',
+      !trackClicks && 'data-track-clicks="false"',
+    ].filter(Boolean);
+
+    return [
+      `<script src="${window.location.origin}/storefront/mpn-search.js?v=${storefrontScriptVersion}"`,
+      ...attributes.map((attribute) => `        ${attribute}`),
+      '        defer></script>',
+    ].join('\n');
   };
 
   const copySnippet = () => {
-    navigator.clipboard.writeText(generateSnippet());
-    setSuccess('Code snippet copied to clipboard');
+    navigator.clipboard.writeText(generateScriptTag());
+    setSuccess('Script tag copied to clipboard');
     setTimeout(() => setSuccess(null), 3000);
   };
 
+  // Toggle a searchable field
+  const toggleSearchField = (field, checked) => {
+    setSearchFields((fields) =>
+      checked ? [...fields, field] : fields.filter((f) => f !== field)
+    );
+  };
+
+  // Save search fields
+  const handleSaveSearchFields = async () => {
+    setSavingFields(true);
+    try {
+      const res = await fetch('/api/settings', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          searchFields,
+          mpnHistoryRetentionDays: parseInt(historyRetentionDays, 10),
+        }),
+      });
+      const data = await res.json();
+      if (res.ok) {
+        setSettings((current) => ({ ...current, ...data.settings }));
+        setSuccess('Search fields saved');
+        setTimeout(() => setSuccess(null), 3000);
+      } else {
+        setError(data.error || 'Failed to save search fields');
+      }
+    } catch (err) {
+      setError('Failed to save search fields');
+    } finally {
+      setSavingFields(false);
+    }
+  };
+
+  const weightsValid = RANKING_SIGNALS.every(({ key }) => /^\d+(\.\d+)?$/.test(rankingWeights[key] || ''));
+
+  // Save ranking weights
+  const handleSaveWeights = async () => {
+    setSavingWeights(true);
+    try {
+      const res = await fetch('/api/settings', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          rankingWeights: Object.fromEntries(
+            RANKING_SIGNALS.map(({ key }) => [key, parseFloat(rankingWeights[key])])
+          ),
+        }),
+      });
+      const data = await res.json();
+      if (res.ok) {
+        setSettings((current) => ({ ...current, ...data.settings }));
+        setSuccess('Ranking weights saved');
+        setTimeout(() => setSuccess(null), 3000);
+      } else {
+        setError(data.error || 'Failed to save ranking weights');
+      }
+    } catch (err) {
+      setError('Failed to save ranking weights');
+    } finally {
+      setSavingWeights(false);
+    }
+  };
+
+  // Rules as they will be saved (type + current input text)
+  const buildRules = () => rules.map((rule, i) => textToRule(rule.type, ruleTexts[i] || ''));
+
+  const addRule = () => {
+    setRules((current) => [...current, { type: 'removePrefix', value: '' }]);
+    setRuleTexts((current) => [...current, '']);
+  };
+
+  const removeRule = (index) => {
+    setRules((current) => current.filter((_, i) => i !== index));
+    setRuleTexts((current) => current.filter((_, i) => i !== index));
+  };
+
+  const moveRule = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= rules.length) return;
+
+    const swap = (list) => {
+      const next = [...list];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    };
+    setRules(swap);
+    setRuleTexts(swap);
+  };
+
+  const changeRuleType = (index, type) => {
+    setRules((current) => current.map((rule, i) => (i === index ? { type } : rule)));
+  };
+
+  const changeRuleText = (index, text) => {
+    setRuleTexts((current) => current.map((t, i) => (i === index ? text : t)));
+  };
+
+  // Preview rules against sample MPNs
+  const handlePreviewRules = async () => {
+    try {
+      const res = await fetch('/api/settings/normalization/preview', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          rules: buildRules(),
+          samples: previewSamples.split('\n').map((line) => line.trim()).filter(Boolean),
+        }),
+      });
+      const data = await res.json();
+      if (res.ok) {
+        setPreviewResults(data.results);
+      } else {
+        setError(data.error || 'Failed to preview rules');
+      }
+    } catch (err) {
+      setError('Failed to preview rules');
+    }
+  };
+
+  // Save rules (starts a rebuild of existing normalized MPNs)
+  const handleSaveRules = async () => {
+    setSavingRules(true);
+    try {
+      const res = await fetch('/api/settings', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ normalizationRules: buildRules() }),
+      });
+      const data = await res.json();
+      if (res.ok) {
+        setSettings((current) => ({ ...current, ...data.settings }));
+        setSuccess(`Normalization rules saved - rebuilding index (job #${data.rebuildJobId})`);
+        setTimeout(() => setSuccess(null), 5000);
+      } else {
+        setError(data.error || 'Failed to save normalization rules');
+      }
+    } catch (err) {
+      setError('Failed to save normalization rules');
+    } finally {
+      setSavingRules(false);
+    }
+  };
+
+  // Add a single alias
+  const handleAddAlias = async () => {
+    try {
+      const res = await fetch('/api/aliases', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(newAlias),
+      });
+      const data = await res.json();
+      if (res.ok) {
+        setNewAlias({ variantId: '', alias: '', type: newAlias.type });
+        setSuccess(`Alias ${data.alias} added`);
+        setTimeout(() => setSuccess(null), 3000);
+        fetchAliases();
+      } else {
+        setError(data.error || 'Failed to add alias');
+      }
+    } catch (err) {
+      setError('Failed to add alias');
+    }
+  };
+
+  const handleDeleteAlias = async (id) => {
+    try {
+      const res = await fetch(`/api/aliases/${id}`, { method: 'DELETE' });
+      if (res.ok) {
+        fetchAliases();
+      } else {
+        setError('Failed to delete alias');
+      }
+    } catch (err) {
+      setError('Failed to delete alias');
+    }
+  };
+
+  // Import aliases from a CSV file
+  const handleAliasCsvDrop = async (files) => {
+    const file = files[0];
+    if (!file) return;
+
+    setImporting(true);
+    try {
+      const res = await fetch('/api/aliases/import', {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/csv' },
+        body: await file.text(),
+      });
+      const data = await res.json();
+      if (res.ok) {
+        setSuccess(`Imported ${data.imported} aliases${data.rejected ? `, ${data.rejected} rows rejected` : ''}`);
+        setTimeout(() => setSuccess(null), 5000);
+        if (data.rejected) {
+          setError(data.errors.slice(0, 5).map((e) => `Line ${e.line}: ${e.error}`).join(' · '));
+        }
+        fetchAliases();
+      } else {
+        setError(data.error || 'Alias import failed');
+      }
+    } catch (err) {
+      setError('Alias import failed');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  // Add a redirect or pinning rule
+  const handleAddSearchRule = async () => {
+    const { query, matchType, action, target } = newSearchRule;
+
+    try {
+      const res = await fetch('/api/rules', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          query,
+          matchType,
+          ...(action === 'redirect'
+            ? { redirectUrl: target.trim() }
+            : { pinnedVariantIds: target.split(',').map((id) => id.trim()).filter(Boolean) }),
+        }),
+      });
+      const data = await res.json();
+      if (res.ok) {
+        setNewSearchRule({ ...newSearchRule, query: '', target: '' });
+        setSuccess(`Search rule for "${data.query}" added`);
+        setTimeout(() => setSuccess(null), 3000);
+        fetchSearchRules();
+      } else {
+        setError(data.error || 'Failed to add search rule');
+      }
+    } catch (err) {
+      setError('Failed to add search rule');
+    }
+  };
+
+  const handleDeleteSearchRule = async (id) => {
+    try {
+      const res = await fetch(`/api/rules/${id}`, { method: 'DELETE' });
+      if (res.ok) {
+        fetchSearchRules();
+      } else {
+        setError('Failed to delete search rule');
+      }
+    } catch (err) {
+      setError('Failed to delete search rule');
+    }
+  };
+
   // Clear index (with confirmation)
   const handleClearIndex = async () => {
     setClearing(true);
@@ -170,8 +569,11 @@ export default function Settings() {
     "variantTitle": "Variant Name",
     "mpn": "7665-PP",
     "sku": "SKU-123",
+    "barcode": "012345678905",
     "image": "https://cdn.shopify.com/...",
-    "price": "12.99"
+    "price": "12.99",
+    "matchType": "exact",
+    "matchedOn": "mpn"
   }
 ]`}
                     </pre>
@@ -197,11 +599,57 @@ export default function Settings() {
             <Box padding="400" paddingBlockStart="0">
               <BlockStack gap="300">
                 <Text variant="bodySm" tone="subdued">
-                  Replace the <code>checkMpnMatch()</code> method in your theme's search file:
+                  Add this tag before <code>&lt;/head&gt;</code> in <code>theme.liquid</code>. The script is
+                  hosted by this app, so theme updates don't remove it. It adds MPN suggestions under
+                  the inputs matching the selector and exposes <code>MpnSearch.lookup(term)</code> for
+                  themes that keep their own <code>checkMpnMatch()</code>.
                 </Text>
+
+                <InlineGrid columns={{ xs: 1, md: 3 }} gap="300">
+                  <TextField
+                    label="Search input selector"
+                    value={storefrontOptions.input}
+                    onChange={(input) => setStorefrontOptions({ ...storefrontOptions, input })}
+                    helpText="Leave empty to only expose MpnSearch.lookup()"
+                    autoComplete="off"
+                  />
+                  <Select
+                    label="Badge"
+                    options={BADGE_OPTIONS}
+                    value={storefrontOptions.badge}
+                    onChange={(badge) => setStorefrontOptions({ ...storefrontOptions, badge })}
+                  />
+                  <TextField
+                    label="Badge text"
+                    value={storefrontOptions.badgeText}
+                    onChange={(badgeText) => setStorefrontOptions({ ...storefrontOptions, badgeText })}
+                    disabled={storefrontOptions.badge === 'none'}
+                    autoComplete="off"
+                  />
+                  <TextField
+                    label="Suggestions"
+                    type="number"
+                    value={storefrontOptions.limit}
+                    onChange={(limit) => setStorefrontOptions({ ...storefrontOptions, limit })}
+                    min={1}
+                    max={50}
+                    autoComplete="off"
+                  />
+                  <Checkbox
+                    label="Typo-tolerant matches"
+                    checked={storefrontOptions.fuzzy}
+                    onChange={(fuzzy) => setStorefrontOptions({ ...storefrontOptions, fuzzy })}
+                  />
+                  <Checkbox
+                    label="Report clicks for analytics"
+                    checked={storefrontOptions.trackClicks}
+                    onChange={(trackClicks) => setStorefrontOptions({ ...storefrontOptions, trackClicks })}
+                  />
+                </InlineGrid>
+
                 <Box padding="300" background="bg-surface-secondary" borderRadius="200">
                   <pre style={{ margin: 0, fontSize: '11px', overflow: 'auto', maxHeight: '300px' }}>
-                    {generateSnippet()}
+                    {generateScriptTag()}
                   </pre>
                 </Box>
               </BlockStack>
@@ -209,6 +657,360 @@ export default function Settings() {
           </BlockStack>
         </Card>
 
+        {/* Search Fields */}
+        <Card>
+          <BlockStack gap="400">
+            <Box padding="400" paddingBlockEnd="0">
+              <InlineStack align="space-between" blockAlign="center">
+                <Text variant="headingMd" as="h3">Search Fields</Text>
+                <Button
+                  onClick={handleSaveSearchFields}
+                  loading={savingFields}
+                  disabled={searchFields.length === 0 || !/^\d+$/.test(historyRetentionDays)}
+                  size="slim"
+                >
+                  Save
+                </Button>
+              </InlineStack>
+            </Box>
+            <Divider />
+            <Box padding="400" paddingBlockStart="0">
+              <BlockStack gap="300">
+                <Text variant="bodySm" tone="subdued">
+                  Choose what the search endpoint matches. Each result reports
+                  which field matched in <code>matchedOn</code>.
+                </Text>
+                <Checkbox
+                  label="MPN"
+                  helpText="Normalized manufacturer part number"
+                  checked={searchFields.includes('mpn')}
+                  onChange={(checked) => toggleSearchField('mpn', checked)}
+                />
+                <Checkbox
+                  label="SKU"
+                  helpText="Normalized variant SKU (exact, or prefix in prefix/contains mode)"
+                  checked={searchFields.includes('sku')}
+                  onChange={(checked) => toggleSearchField('sku', checked)}
+                />
+                <Checkbox
+                  label="Barcode"
+                  helpText="GTIN / UPC / EAN, leading zeros ignored"
+                  checked={searchFields.includes('barcode')}
+                  onChange={(checked) => toggleSearchField('barcode', checked)}
+                />
+                <Box maxWidth="320px">
+                  <TextField
+                    label="Keep previous MPNs searchable for"
+                    type="number"
+                    min={0}
+                    suffix="days"
+                    value={historyRetentionDays}
+                    onChange={setHistoryRetentionDays}
+                    helpText="When an MPN changes, the old number still finds the variant (historical: true). 0 turns this off."
+                    autoComplete="off"
+                  />
+                </Box>
+              </BlockStack>
+            </Box>
+          </BlockStack>
+        </Card>
+
+        {/* Ranking */}
+        <Card>
+          <BlockStack gap="400">
+            <Box padding="400" paddingBlockEnd="0">
+              <InlineStack align="space-between" blockAlign="center">
+                <Text variant="headingMd" as="h3">Ranking</Text>
+                <Button
+                  onClick={handleSaveWeights}
+                  loading={savingWeights}
+                  disabled={!weightsValid}
+                  size="slim"
+                >
+                  Save
+                </Button>
+              </InlineStack>
+            </Box>
+            <Divider />
+            <Box padding="400" paddingBlockStart="0">
+              <BlockStack gap="300">
+                <Text variant="bodySm" tone="subdued">
+                  Each result's <code>score</code> is the sum of these weights times a 0-1 signal.
+                  Results are ordered by score; the dashboard's Test MPN Search shows the breakdown.
+                </Text>
+                <InlineGrid columns={{ xs: 1, sm: 2 }} gap="300">
+                  {RANKING_SIGNALS.map(({ key, label, helpText }) => (
+                    <TextField
+                      key={key}
+                      label={label}
+                      type="number"
+                      min={0}
+                      value={rankingWeights[key] ?? ''}
+                      onChange={(value) => setRankingWeights({ ...rankingWeights, [key]: value })}
+                      helpText={helpText}
+                      autoComplete="off"
+                    />
+                  ))}
+                </InlineGrid>
+              </BlockStack>
+            </Box>
+          </BlockStack>
+        </Card>
+
+        {/* MPN Normalization Rules */}
+        <Card>
+          <BlockStack gap="400">
+            <Box padding="400" paddingBlockEnd="0">
+              <InlineStack align="space-between" blockAlign="center">
+                <Text variant="headingMd" as="h3">MPN Normalization</Text>
+                <InlineStack gap="200">
+                  <Button icon={PlusIcon} onClick={addRule} size="slim">
+                    Add Rule
+                  </Button>
+                  <Button onClick={handleSaveRules} loading={savingRules} size="slim" variant="primary">
+                    Save Rules
+                  </Button>
+                </InlineStack>
+              </InlineStack>
+            </Box>
+            <Divider />
+            <Box padding="400" paddingBlockStart="0">
+              <BlockStack gap="400">
+                <Text variant="bodySm" tone="subdued">
+                  Rules run in order on the uppercased MPN (and on search terms), then
+                  everything except letters and digits is removed. Saving re-normalizes
+                  the existing index without a Shopify sync.
+                </Text>
+
+                {rules.length === 0 && (
+                  <Text variant="bodySm" tone="subdued">
+                    No rules - MPNs are only stripped to letters and digits.
+                  </Text>
+                )}
+
+                {rules.map((rule, index) => (
+                  <InlineStack key={index} gap="200" blockAlign="end" wrap={false}>
+                    <Box minWidth="180px">
+                      <Select
+                        label={`Rule ${index + 1}`}
+                        options={RULE_TYPE_OPTIONS}
+                        value={rule.type}
+                        onChange={(type) => changeRuleType(index, type)}
+                      />
+                    </Box>
+                    <Box minWidth="240px">
+                      <TextField
+                        label={rule.type === 'mapChars' ? 'Map (from=to, ...)' : rule.type === 'stripRegex' ? 'Pattern' : 'Value'}
+                        labelHidden={rule.type === 'trimLeadingZeros'}
+                        value={ruleTexts[index] || ''}
+                        onChange={(text) => changeRuleText(index, text)}
+                        disabled={rule.type === 'trimLeadingZeros'}
+                        placeholder={rule.type === 'mapChars' ? 'Ø=0, O=0' : rule.type === 'stripRegex' ? 'REV\\d+$' : 'ACM-'}
+                        autoComplete="off"
+                      />
+                    </Box>
+                    <Button icon={ArrowUpIcon} onClick={() => moveRule(index, -1)} disabled={index === 0} accessibilityLabel="Move up" />
+                    <Button icon={ArrowDownIcon} onClick={() => moveRule(index, 1)} disabled={index === rules.length - 1} accessibilityLabel="Move down" />
+                    <Button icon={DeleteIcon} tone="critical" onClick={() => removeRule(index)} accessibilityLabel="Remove rule" />
+                  </InlineStack>
+                ))}
+
+                <Divider />
+
+                <InlineStack gap="300" blockAlign="end">
+                  <Box minWidth="300px">
+                    <TextField
+                      label="Preview with sample MPNs (one per line)"
+                      value={previewSamples}
+                      onChange={setPreviewSamples}
+                      multiline={3}
+                      autoComplete="off"
+                    />
+                  </Box>
+                  <Button onClick={handlePreviewRules} disabled={!previewSamples.trim()}>
+                    Preview
+                  </Button>
+                </InlineStack>
+
+                {previewResults.length > 0 && (
+                  <DataTable
+                    columnContentTypes={['text', 'text']}
+                    headings={['Input', 'Normalized']}
+                    rows={previewResults.map((r) => [r.input, r.normalized || '--'])}
+                  />
+                )}
+              </BlockStack>
+            </Box>
+          </BlockStack>
+        </Card>
+
+        {/* MPN Cross-References */}
+        <Card>
+          <BlockStack gap="400">
+            <Box padding="400" paddingBlockEnd="0">
+              <InlineStack align="space-between" blockAlign="center">
+                <Text variant="headingMd" as="h3">MPN Cross-References</Text>
+                <Badge>{`${aliasTotal.toLocaleString()} aliases`}</Badge>
+              </InlineStack>
+            </Box>
+            <Divider />
+            <Box padding="400" paddingBlockStart="0">
+              <BlockStack gap="400">
+                <Text variant="bodySm" tone="subdued">
+                  Map alternate, superseded or competitor part numbers to a variant.
+                  Searches for an alias return the variant with <code>matchedAlias</code>.
+                </Text>
+
+                <InlineStack gap="200" blockAlign="end">
+                  <Box minWidth="260px">
+                    <TextField
+                      label="Variant ID"
+                      value={newAlias.variantId}
+                      onChange={(variantId) => setNewAlias({ ...newAlias, variantId })}
+                      placeholder="gid://shopify/ProductVariant/123"
+                      autoComplete="off"
+                    />
+                  </Box>
+                  <Box minWidth="160px">
+                    <TextField
+                      label="Alias"
+                      value={newAlias.alias}
+                      onChange={(alias) => setNewAlias({ ...newAlias, alias })}
+                      placeholder="7665-PX"
+                      autoComplete="off"
+                    />
+                  </Box>
+                  <Select
+                    label="Type"
+                    options={ALIAS_TYPE_OPTIONS}
+                    value={newAlias.type}
+                    onChange={(type) => setNewAlias({ ...newAlias, type })}
+                  />
+                  <Button
+                    icon={PlusIcon}
+                    onClick={handleAddAlias}
+                    disabled={!newAlias.variantId.trim() || !newAlias.alias.trim()}
+                  >
+                    Add
+                  </Button>
+                </InlineStack>
+
+                <DropZone
+                  label="Import CSV (variant_id or mpn, alias, type)"
+                  accept=".csv,text/csv"
+                  allowMultiple={false}
+                  onDrop={handleAliasCsvDrop}
+                  disabled={importing}
+                >
+                  <DropZone.FileUpload actionTitle={importing ? 'Importing...' : 'Upload CSV'} />
+                </DropZone>
+
+                {aliases.length > 0 && (
+                  <DataTable
+                    columnContentTypes={['text', 'text', 'text', 'text', 'text']}
+                    headings={['Alias', 'Type', 'Variant MPN', 'Product', '']}
+                    rows={aliases.map((a) => [
+                      a.alias,
+                      a.alias_type,
+                      a.mpn || '--',
+                      a.product_title || <Text tone="subdued">Not indexed</Text>,
+                      <Button
+                        icon={DeleteIcon}
+                        variant="plain"
+                        tone="critical"
+                        onClick={() => handleDeleteAlias(a.id)}
+                        accessibilityLabel="Delete alias"
+                      />,
+                    ])}
+                  />
+                )}
+              </BlockStack>
+            </Box>
+          </BlockStack>
+        </Card>
+
+        {/* Search Rules */}
+        <Card>
+          <BlockStack gap="400">
+            <Box padding="400" paddingBlockEnd="0">
+              <InlineStack align="space-between" blockAlign="center">
+                <Text variant="headingMd" as="h3">Search Rules</Text>
+                <Badge>{`${searchRules.length} rules`}</Badge>
+              </InlineStack>
+            </Box>
+            <Divider />
+            <Box padding="400" paddingBlockStart="0">
+              <BlockStack gap="400">
+                <Text variant="bodySm" tone="subdued">
+                  Send a search straight to a landing page, or always show specific variants first.
+                  Exact-text rules win over normalized-MPN rules.
+                </Text>
+
+                <InlineStack gap="200" blockAlign="end">
+                  <Box minWidth="160px">
+                    <TextField
+                      label="Query"
+                      value={newSearchRule.query}
+                      onChange={(query) => setNewSearchRule({ ...newSearchRule, query })}
+                      placeholder="7665"
+                      autoComplete="off"
+                    />
+                  </Box>
+                  <Select
+                    label="Match"
+                    options={SEARCH_RULE_MATCH_OPTIONS}
+                    value={newSearchRule.matchType}
+                    onChange={(matchType) => setNewSearchRule({ ...newSearchRule, matchType })}
+                  />
+                  <Select
+                    label="Action"
+                    options={SEARCH_RULE_ACTION_OPTIONS}
+                    value={newSearchRule.action}
+                    onChange={(action) => setNewSearchRule({ ...newSearchRule, action, target: '' })}
+                  />
+                  <Box minWidth="260px">
+                    <TextField
+                      label={newSearchRule.action === 'redirect' ? 'URL' : 'Variant IDs'}
+                      value={newSearchRule.target}
+                      onChange={(target) => setNewSearchRule({ ...newSearchRule, target })}
+                      placeholder={newSearchRule.action === 'redirect' ? '/collections/7665-series' : '123, 456'}
+                      autoComplete="off"
+                    />
+                  </Box>
+                  <Button
+                    icon={PlusIcon}
+                    onClick={handleAddSearchRule}
+                    disabled={!newSearchRule.query.trim() || !newSearchRule.target.trim()}
+                  >
+                    Add
+                  </Button>
+                </InlineStack>
+
+                {searchRules.length > 0 && (
+                  <DataTable
+                    columnContentTypes={['text', 'text', 'text', 'text']}
+                    headings={['Query', 'Match', 'Action', '']}
+                    rows={searchRules.map((r) => [
+                      r.query,
+                      r.match_type,
+                      r.redirect_url
+                        ? `Redirect to ${r.redirect_url}`
+                        : `Pin ${r.pinned_variant_ids.map((id) => id.split('/').pop()).join(', ')}`,
+                      <Button
+                        icon={DeleteIcon}
+                        variant="plain"
+                        tone="critical"
+                        onClick={() => handleDeleteSearchRule(r.id)}
+                        accessibilityLabel="Delete search rule"
+                      />,
+                    ])}
+                  />
+                )}
+              </BlockStack>
+            </Box>
+          </BlockStack>
+        </Card>
+
         {/* Metafield Configuration */}
         <Card>
           <BlockStack gap="400">
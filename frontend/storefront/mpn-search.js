@@ -0,0 +1,305 @@
+// storefront/mpn-search.js - Drop-in MPN Search for Shopify themes
+//
+// Built to dist/storefront/mpn-search.js (npm run build) and served by the
+// sidecar at /storefront/mpn-search.js. Configured with data attributes on
+// its own <script> tag (Settings → Theme Integration generates it):
+//
+//   <script src="https://your-app.com/storefront/mpn-search.js?v=1.0.0"
+//           data-input="input[name='q']" data-badge="exact" defer></script>
+//
+//   data-endpoint     Sidecar origin (default: where the script was loaded from)
+//   data-input        Inputs to attach autocomplete to (omit for lookup() only)
+//   data-mode         Search mode for autocomplete (default "prefix")
+//   data-limit        Suggestions shown (default 5)
+//   data-debounce     Milliseconds to wait after typing (default 200)
+//   data-fuzzy        "true" adds typo-tolerant matches
+//   data-badge        Which suggestions get a badge: "exact" (default), "all" or "none"
+//   data-badge-text   Badge label (default "MPN MATCH")
+//   data-track-clicks "false" stops click-through beacons
+
+const VERSION = __MPN_SEARCH_VERSION__;
+
+const script = document.currentScript;
+const dataset = (script && script.dataset) || {};
+
+const config = {
+  endpoint: (dataset.endpoint || (script ? new URL(script.src).origin : '')).replace(/\/$/, ''),
+  input: dataset.input || null,
+  mode: dataset.mode || 'prefix',
+  limit: parseInt(dataset.limit, 10) || 5,
+  debounce: parseInt(dataset.debounce, 10) || 200,
+  fuzzy: dataset.fuzzy === 'true',
+  badge: dataset.badge || 'exact',
+  badgeText: dataset.badgeText || 'MPN MATCH',
+  trackClicks: dataset.trackClicks !== 'false',
+  // Overridable with configure(): (match) => Element | null
+  renderBadge: defaultRenderBadge,
+};
+
+const STYLES = `
+.mpn-search-results { position: absolute; z-index: 1000; background: #fff; border: 1px solid #ddd; border-radius: 4px; box-shadow: 0 4px 12px rgba(0,0,0,.12); margin: 2px 0 0; padding: 4px 0; list-style: none; max-height: 420px; overflow-y: auto; }
+.mpn-search-results[hidden] { display: none; }
+.mpn-search-result a { display: flex; align-items: center; gap: 10px; padding: 6px 12px; color: inherit; text-decoration: none; }
+.mpn-search-result[aria-selected="true"] a, .mpn-search-result a:hover { background: #f4f4f4; }
+.mpn-search-result img { width: 40px; height: 40px; object-fit: contain; flex: none; }
+.mpn-search-title { display: block; font-weight: 600; }
+.mpn-search-meta { display: block; font-size: .85em; opacity: .75; }
+.mpn-search-badge { margin-left: auto; flex: none; padding: 2px 6px; border-radius: 3px; background: #1a7f37; color: #fff; font-size: .7em; font-weight: 700; letter-spacing: .03em; }
+`;
+
+// Suggestion lists created so far (for unique element IDs)
+let listCount = 0;
+
+/**
+ * Matches for a term, same shape as GET /api/search ([] on any error)
+ * Drop-in for a theme's checkMpnMatch(term).
+ */
+async function lookup(term, options = {}) {
+  const { results } = await search(term, options);
+  return results;
+}
+
+/**
+ * { results, redirect } for a term; redirect is a search rule's landing
+ * page (navigate there on submit)
+ */
+async function search(term, options = {}) {
+  const query = String(term || '').trim();
+  if (query.replace(/[^A-Z0-9]/gi, '').length < 2) {
+    return { results: [], redirect: null };
+  }
+
+  const params = new URLSearchParams({ q: query, format: 'page' });
+  params.set('mode', options.mode || 'exact');
+  params.set('limit', String(options.limit || config.limit));
+  if (options.fuzzy ?? config.fuzzy) params.set('fuzzy', 'true');
+
+  try {
+    const response = await fetch(`${config.endpoint}/api/search?${params}`);
+    if (!response.ok) return { results: [], redirect: null };
+
+    const page = await response.json();
+    return { results: page.results || [], redirect: page.redirect || null };
+  } catch (error) {
+    console.error('[MPN] Search error:', error);
+    return { results: [], redirect: null };
+  }
+}
+
+/**
+ * Report the suggestion a shopper picked (position is 1-based)
+ */
+function trackClick(term, match, position) {
+  if (!config.trackClicks || !navigator.sendBeacon) return;
+
+  navigator.sendBeacon(
+    `${config.endpoint}/api/search/click`,
+    JSON.stringify({ q: String(term).trim(), variantId: match.variantId, position })
+  );
+}
+
+/**
+ * Override settings from code, e.g. a custom badge:
+ *   MpnSearch.configure({ renderBadge: (match) => ... })
+ */
+function configure(overrides) {
+  Object.assign(config, overrides);
+  return config;
+}
+
+/**
+ * Storefront URL of a match (respects Shopify's locale root)
+ */
+function productUrl(match) {
+  const root = (window.Shopify && window.Shopify.routes && window.Shopify.routes.root) || '/';
+  const variantId = String(match.variantId).split('/').pop();
+  return `${root}products/${match.productHandle}?variant=${variantId}`;
+}
+
+function defaultRenderBadge(match) {
+  const show = config.badge === 'all' || (config.badge === 'exact' && match.matchType === 'exact');
+  if (!show) return null;
+
+  const badge = document.createElement('span');
+  badge.className = 'mpn-search-badge';
+  badge.textContent = config.badgeText;
+  return badge;
+}
+
+function renderSuggestion(match) {
+  const item = document.createElement('li');
+  item.className = 'mpn-search-result';
+  item.setAttribute('role', 'option');
+
+  const link = document.createElement('a');
+  link.href = productUrl(match);
+
+  if (match.image) {
+    const image = document.createElement('img');
+    image.src = match.image;
+    image.alt = '';
+    image.loading = 'lazy';
+    link.appendChild(image);
+  }
+
+  const text = document.createElement('span');
+  const title = document.createElement('span');
+  title.className = 'mpn-search-title';
+  title.textContent = match.variantTitle ? `${match.productTitle} - ${match.variantTitle}` : match.productTitle;
+
+  const meta = document.createElement('span');
+  meta.className = 'mpn-search-meta';
+  meta.textContent = [match.mpn, match.manufacturer || match.vendor].filter(Boolean).join(' · ');
+
+  text.append(title, meta);
+  link.appendChild(text);
+
+  const badge = config.renderBadge(match);
+  if (badge) link.appendChild(badge);
+
+  item.appendChild(link);
+  return item;
+}
+
+function injectStyles() {
+  if (document.getElementById('mpn-search-styles')) return;
+
+  const style = document.createElement('style');
+  style.id = 'mpn-search-styles';
+  style.textContent = STYLES;
+  document.head.appendChild(style);
+}
+
+/**
+ * Debounced autocomplete under every input matching a selector (or one
+ * element). Returns a function that detaches it again.
+ */
+function attach(target, options = {}) {
+  const inputs = typeof target === 'string' ? [...document.querySelectorAll(target)] : [target];
+  const detachers = inputs.filter(Boolean).map(input => attachInput(input, options));
+  return () => detachers.forEach(detach => detach());
+}
+
+function attachInput(input, options) {
+  injectStyles();
+
+  const list = document.createElement('ul');
+  list.id = `mpn-search-results-${++listCount}`;
+  list.className = 'mpn-search-results';
+  list.setAttribute('role', 'listbox');
+  list.hidden = true;
+  document.body.appendChild(list);
+
+  input.setAttribute('autocomplete', 'off');
+  input.setAttribute('aria-autocomplete', 'list');
+
+  let timer = null;
+  let requestId = 0;
+  let term = '';
+  let matches = [];
+  let redirect = null;
+  let selected = -1;
+
+  const position = () => {
+    const rect = input.getBoundingClientRect();
+    list.style.left = `${rect.left + window.scrollX}px`;
+    list.style.top = `${rect.bottom + window.scrollY}px`;
+    list.style.minWidth = `${rect.width}px`;
+  };
+
+  const close = () => {
+    list.hidden = true;
+    selected = -1;
+    input.removeAttribute('aria-activedescendant');
+  };
+
+  const select = (index) => {
+    selected = index;
+    [...list.children].forEach((item, i) => item.setAttribute('aria-selected', String(i === index)));
+    if (index >= 0) input.setAttribute('aria-activedescendant', `${list.id}-${index}`);
+  };
+
+  const render = () => {
+    list.replaceChildren(...matches.map(match => renderSuggestion(match)));
+    [...list.children].forEach((item, index) => {
+      item.id = `${list.id}-${index}`;
+      item.addEventListener('mousedown', () => trackClick(term, matches[index], index + 1));
+    });
+
+    if (matches.length === 0) {
+      close();
+      return;
+    }
+
+    position();
+    list.hidden = false;
+    select(-1);
+  };
+
+  const onInput = () => {
+    clearTimeout(timer);
+    timer = setTimeout(async () => {
+      const id = ++requestId;
+      term = input.value;
+
+      const page = await search(term, {
+        mode: options.mode || config.mode,
+        limit: options.limit || config.limit,
+        fuzzy: options.fuzzy
+      });
+
+      // Ignore responses that arrive after a newer keystroke's
+      if (id !== requestId) return;
+
+      matches = page.results;
+      redirect = page.redirect;
+      render();
+    }, options.debounce || config.debounce);
+  };
+
+  const onKeyDown = (event) => {
+    if (event.key === 'ArrowDown' && matches.length > 0) {
+      event.preventDefault();
+      select((selected + 1) % matches.length);
+    } else if (event.key === 'ArrowUp' && matches.length > 0) {
+      event.preventDefault();
+      select(selected <= 0 ? matches.length - 1 : selected - 1);
+    } else if (event.key === 'Escape') {
+      close();
+    } else if (event.key === 'Enter' && selected >= 0) {
+      event.preventDefault();
+      trackClick(term, matches[selected], selected + 1);
+      window.location.href = productUrl(matches[selected]);
+    } else if (event.key === 'Enter' && redirect && input.value === term) {
+      event.preventDefault();
+      window.location.href = redirect;
+    }
+  };
+
+  // Delay so a click on a suggestion lands before the list hides
+  const onBlur = () => setTimeout(close, 150);
+
+  input.addEventListener('input', onInput);
+  input.addEventListener('keydown', onKeyDown);
+  input.addEventListener('blur', onBlur);
+
+  return () => {
+    clearTimeout(timer);
+    input.removeEventListener('input', onInput);
+    input.removeEventListener('keydown', onKeyDown);
+    input.removeEventListener('blur', onBlur);
+    list.remove();
+  };
+}
+
+if (config.input) {
+  const start = () => attach(config.input);
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', start);
+  } else {
+    start();
+  }
+}
+
+export { VERSION as version, config, lookup, search, attach, trackClick, configure, productUrl };
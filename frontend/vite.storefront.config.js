@@ -0,0 +1,24 @@
+import { defineConfig } from 'vite';
+import { readFileSync } from 'fs';
+
+// The drop-in storefront script (storefront/mpn-search.js): one minified
+// IIFE exposing window.MpnSearch, versioned with this package
+const { version } = JSON.parse(readFileSync(new URL('./package.json', import.meta.url), 'utf8'));
+
+export default defineConfig({
+  define: {
+    __MPN_SEARCH_VERSION__: JSON.stringify(version)
+  },
+  build: {
+    outDir: 'dist/storefront',
+    emptyOutDir: true,
+    target: 'es2018',
+    minify: 'esbuild',
+    lib: {
+      entry: 'storefront/mpn-search.js',
+      name: 'MpnSearch',
+      formats: ['iife'],
+      fileName: () => 'mpn-search.js'
+    }
+  }
+});
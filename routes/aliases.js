@@ -0,0 +1,310 @@
+// routes/aliases.js - Cross-Reference MPNs (alternate / legacy / competitor numbers)
+const express = require('express');
+const router = express.Router();
+const DatabaseManager = require('../database/setup');
+
+let db = null;
+
+// Maximum rows accepted by one CSV import
+const MAX_IMPORT_ROWS = 20000;
+
+// Inject database
+router.setDatabase = (database) => {
+  db = database;
+  console.log('✅ Database passed to alias routes');
+};
+
+/**
+ * GET /api/aliases?variantId=...&q=7665&limit=50&offset=0
+ *
+ * List aliases, newest first. q matches the alias or the variant's own MPN.
+ */
+router.get('/', async (req, res) => {
+  if (!db) {
+    return res.status(500).json({ error: 'Database not available' });
+  }
+
+  try {
+    const { variantId, q } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    const offset = parseInt(req.query.offset, 10) || 0;
+
+    const result = await db.listAliases({
+      variantId: variantId ? toVariantGid(variantId) : null,
+      search: q,
+      limit,
+      offset
+    });
+
+    res.json(result);
+  } catch (error) {
+    console.error('❌ List aliases error:', error);
+    res.status(500).json({ error: 'Failed to list aliases' });
+  }
+});
+
+/**
+ * POST /api/aliases
+ *
+ * Body: { "variantId": "gid://shopify/ProductVariant/123", "alias": "7665-PX", "type": "legacy" }
+ */
+router.post('/', async (req, res) => {
+  if (!db) {
+    return res.status(500).json({ error: 'Database not available' });
+  }
+
+  const { variantId, alias, type = 'alternate' } = req.body || {};
+  const validationError = validateAlias({ variantId, alias, type });
+
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const created = await db.upsertAlias({
+      variant_id: toVariantGid(variantId),
+      alias: alias.trim(),
+      alias_type: type,
+      source: 'manual'
+    });
+
+    res.status(201).json(created);
+  } catch (error) {
+    console.error('❌ Create alias error:', error);
+    res.status(500).json({ error: 'Failed to create alias' });
+  }
+});
+
+/**
+ * PUT /api/aliases/:id
+ *
+ * Body: { "alias": "7665-PX", "type": "competitor" } (either field optional)
+ */
+router.put('/:id', async (req, res) => {
+  if (!db) {
+    return res.status(500).json({ error: 'Database not available' });
+  }
+
+  const { alias, type } = req.body || {};
+
+  if (alias !== undefined && !isValidAliasText(alias)) {
+    return res.status(400).json({ error: 'alias must contain at least 2 letters or digits after MPN normalization' });
+  }
+
+  if (type !== undefined && !DatabaseManager.ALIAS_TYPES.includes(type)) {
+    return res.status(400).json({ error: `type must be one of: ${DatabaseManager.ALIAS_TYPES.join(', ')}` });
+  }
+
+  try {
+    const updated = await db.updateAlias(req.params.id, {
+      alias: alias?.trim(),
+      alias_type: type
+    });
+
+    if (!updated) {
+      return res.status(404).json({ error: 'Alias not found' });
+    }
+
+    res.json(updated);
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT') {
+      return res.status(409).json({ error: 'This variant already has that alias' });
+    }
+    console.error('❌ Update alias error:', error);
+    res.status(500).json({ error: 'Failed to update alias' });
+  }
+});
+
+/**
+ * DELETE /api/aliases/:id
+ */
+router.delete('/:id', async (req, res) => {
+  if (!db) {
+    return res.status(500).json({ error: 'Database not available' });
+  }
+
+  try {
+    const { changes } = await db.deleteAlias(req.params.id);
+
+    if (changes === 0) {
+      return res.status(404).json({ error: 'Alias not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Delete alias error:', error);
+    res.status(500).json({ error: 'Failed to delete alias' });
+  }
+});
+
+/**
+ * POST /api/aliases/import
+ *
+ * CSV upload (Content-Type: text/csv). Header row required:
+ *
+ *   variant_id,mpn,alias,type
+ *   gid://shopify/ProductVariant/123,,7665-PX,legacy
+ *   ,7665-PP,ACME-7665,competitor
+ *
+ * Each row names its variant by variant_id (GID or numeric ID) or by the
+ * variant's own MPN (every variant with that MPN gets the alias).
+ * type is optional and defaults to "alternate".
+ */
+router.post('/import', express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }), async (req, res) => {
+  if (!db) {
+    return res.status(500).json({ error: 'Database not available' });
+  }
+
+  if (typeof req.body !== 'string' || !req.body.trim()) {
+    return res.status(400).json({ error: 'Send the CSV as the request body (Content-Type: text/csv)' });
+  }
+
+  // Spreadsheet exports often start with a UTF-8 byte order mark
+  const rows = parseCsv(req.body.replace(/^\uFEFF/, ''));
+  const header = (rows.shift() || []).map(h => h.trim().toLowerCase());
+
+  if (!header.includes('alias') || (!header.includes('variant_id') && !header.includes('mpn'))) {
+    return res.status(400).json({ error: 'CSV header must include alias and variant_id or mpn' });
+  }
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return res.status(400).json({ error: `A CSV import can contain at most ${MAX_IMPORT_ROWS} rows` });
+  }
+
+  let imported = 0;
+  const errors = [];
+  // Valid rows are saved together after the loop: { line, variant_id, alias, alias_type, source }
+  const aliases = [];
+
+  try {
+    for (const [index, values] of rows.entries()) {
+      const line = index + 2;
+      const row = Object.fromEntries(header.map((key, i) => [key, (values[i] || '').trim()]));
+
+      if (Object.values(row).every(value => !value)) continue;
+
+      const type = row.type || 'alternate';
+
+      if (!isValidAliasText(row.alias)) {
+        errors.push({ line, error: 'alias must contain at least 2 letters or digits after MPN normalization' });
+        continue;
+      }
+
+      if (!DatabaseManager.ALIAS_TYPES.includes(type)) {
+        errors.push({ line, error: `type must be one of: ${DatabaseManager.ALIAS_TYPES.join(', ')}` });
+        continue;
+      }
+
+      const variantIds = row.variant_id
+        ? [toVariantGid(row.variant_id)]
+        : await db.findVariantIdsByMpn(row.mpn);
+
+      if (variantIds.length === 0) {
+        errors.push({ line, error: `No indexed variant with MPN "${row.mpn}"` });
+        continue;
+      }
+
+      for (const variantId of variantIds) {
+        aliases.push({ line, variant_id: variantId, alias: row.alias, alias_type: type, source: 'csv' });
+      }
+    }
+
+    const result = await db.bulkUpsertAliases(aliases);
+    imported = result.imported;
+
+    for (const { index, error } of result.failed) {
+      const { line } = aliases[index];
+      console.error(`❌ Alias import line ${line}:`, error.message);
+      if (!errors.some(e => e.line === line)) {
+        errors.push({ line, error: 'Failed to save alias' });
+      }
+    }
+    errors.sort((a, b) => a.line - b.line);
+
+    console.log(`📥 Alias CSV import: ${imported} imported, ${errors.length} rejected`);
+    res.json({ success: true, imported, rejected: errors.length, errors: errors.slice(0, 100) });
+
+  } catch (error) {
+    console.error('❌ Alias import error:', error);
+    res.status(500).json({ error: 'Alias import failed', imported });
+  }
+});
+
+/**
+ * Validate a new alias from the API
+ */
+function validateAlias({ variantId, alias, type }) {
+  if (!variantId) {
+    return 'variantId is required';
+  }
+  if (!isValidAliasText(alias)) {
+    return 'alias must contain at least 2 letters or digits after MPN normalization';
+  }
+  if (!DatabaseManager.ALIAS_TYPES.includes(type)) {
+    return `type must be one of: ${DatabaseManager.ALIAS_TYPES.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Aliases are stored (and matched) in normalized form, which the
+ * normalization rules may shorten or empty
+ */
+function isValidAliasText(alias) {
+  return typeof alias === 'string' && (db.normalizeMpn(alias) || '').length >= 2;
+}
+
+/**
+ * Accept numeric variant IDs as well as GIDs
+ */
+function toVariantGid(variantId) {
+  const value = String(variantId).trim();
+  return /^\d+$/.test(value) ? `gid://shopify/ProductVariant/${value}` : value;
+}
+
+/**
+ * Minimal RFC 4180 CSV parser (quoted fields, escaped quotes, CRLF)
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+module.exports = router;
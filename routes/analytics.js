@@ -0,0 +1,162 @@
+// routes/analytics.js - Search Analytics (what customers search for)
+const express = require('express');
+const router = express.Router();
+const DatabaseManager = require('../database/setup');
+
+let db = null;
+
+// Longest reporting window (the log itself is bounded by analyticsRetentionDays)
+const MAX_DAYS = 365;
+
+// Largest top-queries / zero-results list
+const MAX_LIMIT = 100;
+
+// Inject database
+router.setDatabase = (database) => {
+  db = database;
+  console.log('✅ Database passed to analytics routes');
+};
+
+/**
+ * GET /api/analytics/summary?days=7
+ *
+ * Totals for the window: searches, zero_result_searches, zero_result_rate,
+ * unique_terms, latency p50_ms / p95_ms / p99_ms, clicks and
+ * click_through_rate, plus the sample_rate and retention_days the log is
+ * collected with. Search counts are of sampled searches.
+ */
+router.get('/summary', async (req, res) => {
+  if (!db) {
+    return res.status(500).json({ error: 'Database not available' });
+  }
+
+  try {
+    res.json(await db.getSearchSummary(parseDays(req.query.days)));
+  } catch (error) {
+    console.error('❌ Analytics summary error:', error);
+    res.status(500).json({ error: 'Failed to get search summary' });
+  }
+});
+
+/**
+ * GET /api/analytics/top-queries?days=7&limit=20
+ *
+ * Most searched terms, grouped by normalized term ("7665-pp" and "7665PP"
+ * count as one) and shown with their most recent spelling.
+ */
+router.get('/top-queries', async (req, res) => {
+  if (!db) {
+    return res.status(500).json({ error: 'Database not available' });
+  }
+
+  try {
+    res.json(await db.getTopQueries(parseDays(req.query.days), parseLimit(req.query.limit)));
+  } catch (error) {
+    console.error('❌ Top queries error:', error);
+    res.status(500).json({ error: 'Failed to get top queries' });
+  }
+});
+
+/**
+ * GET /api/analytics/zero-results?days=7&limit=20
+ *
+ * Most searched terms that returned nothing - candidates for aliases or
+ * missing MPN metafields.
+ */
+router.get('/zero-results', async (req, res) => {
+  if (!db) {
+    return res.status(500).json({ error: 'Database not available' });
+  }
+
+  try {
+    res.json(await db.getZeroResultQueries(parseDays(req.query.days), parseLimit(req.query.limit)));
+  } catch (error) {
+    console.error('❌ Zero-result queries error:', error);
+    res.status(500).json({ error: 'Failed to get zero-result queries' });
+  }
+});
+
+/**
+ * GET /api/analytics/click-through?days=7&limit=20
+ *
+ * Most searched terms with clicks (POST /api/search/click), average
+ * position of the picked suggestion and click_through_rate. The rate is
+ * estimated from sampled searches when analyticsSampleRate is below 1.
+ */
+router.get('/click-through', async (req, res) => {
+  if (!db) {
+    return res.status(500).json({ error: 'Database not available' });
+  }
+
+  try {
+    res.json(await db.getClickThrough(parseDays(req.query.days), parseLimit(req.query.limit)));
+  } catch (error) {
+    console.error('❌ Click-through error:', error);
+    res.status(500).json({ error: 'Failed to get click-through rates' });
+  }
+});
+
+/**
+ * GET /api/analytics/popular-variants?limit=20
+ *
+ * Variants by popularity: clicks within the analytics retention period,
+ * as of the last hourly snapshot (the value search sorts by).
+ */
+router.get('/popular-variants', async (req, res) => {
+  if (!db) {
+    return res.status(500).json({ error: 'Database not available' });
+  }
+
+  try {
+    res.json(await db.getPopularVariants(parseLimit(req.query.limit)));
+  } catch (error) {
+    console.error('❌ Popular variants error:', error);
+    res.status(500).json({ error: 'Failed to get popular variants' });
+  }
+});
+
+/**
+ * GET /api/analytics/latency?days=7&interval=day
+ *
+ * Searches and latency percentiles per period (UTC), oldest first.
+ * interval is "hour" or "day" (default: hour for windows up to 2 days).
+ */
+router.get('/latency', async (req, res) => {
+  if (!db) {
+    return res.status(500).json({ error: 'Database not available' });
+  }
+
+  const days = parseDays(req.query.days);
+  const interval = req.query.interval || (days <= 2 ? 'hour' : 'day');
+
+  if (!DatabaseManager.ANALYTICS_INTERVALS.includes(interval)) {
+    return res.status(400).json({ error: `Invalid interval. Use one of: ${DatabaseManager.ANALYTICS_INTERVALS.join(', ')}` });
+  }
+
+  try {
+    res.json({ interval, periods: await db.getSearchLatency(days, interval) });
+  } catch (error) {
+    console.error('❌ Latency analytics error:', error);
+    res.status(500).json({ error: 'Failed to get search latency' });
+  }
+});
+
+/**
+ * Reporting window in days: default 7, clamped to 1-MAX_DAYS
+ */
+function parseDays(value) {
+  const parsed = parseInt(value, 10);
+  if (Number.isNaN(parsed)) return 7;
+  return Math.min(Math.max(parsed, 1), MAX_DAYS);
+}
+
+/**
+ * List length: default 20, clamped to 1-MAX_LIMIT
+ */
+function parseLimit(value) {
+  const parsed = parseInt(value, 10);
+  if (Number.isNaN(parsed)) return 20;
+  return Math.min(Math.max(parsed, 1), MAX_LIMIT);
+}
+
+module.exports = router;
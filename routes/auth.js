@@ -5,7 +5,7 @@ const crypto = require('crypto');
 
 const SHOPIFY_API_KEY = process.env.SHOPIFY_API_KEY;
 const SHOPIFY_API_SECRET = process.env.SHOPIFY_API_SECRET;
-const SHOPIFY_SCOPES = process.env.SHOPIFY_SCOPES || 'read_products';
+const SHOPIFY_SCOPES = process.env.SHOPIFY_SCOPES || 'read_products,read_inventory';
 const SHOPIFY_HOST = process.env.SHOPIFY_HOST;
 
 // Store sessions (in production, use database)
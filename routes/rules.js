@@ -0,0 +1,208 @@
+// routes/rules.js - Search Rules (redirect a query or pin variants first)
+const express = require('express');
+const router = express.Router();
+const DatabaseManager = require('../database/setup');
+
+let db = null;
+
+// Most variants one rule can pin
+const MAX_PINNED_VARIANTS = 10;
+
+// Inject database
+router.setDatabase = (database) => {
+  db = database;
+  console.log('✅ Database passed to search rule routes');
+};
+
+/**
+ * GET /api/rules
+ *
+ * Every rule, most recently updated first.
+ */
+router.get('/', (req, res) => {
+  if (!db) {
+    return res.status(500).json({ error: 'Database not available' });
+  }
+
+  res.json({ rules: db.listSearchRules() });
+});
+
+/**
+ * POST /api/rules
+ *
+ * Body (one of redirectUrl / pinnedVariantIds):
+ *   { "query": "7665", "matchType": "normalized", "redirectUrl": "/collections/7665-series" }
+ *   { "query": "cadmium red kit", "matchType": "exact", "pinnedVariantIds": ["123", "gid://shopify/ProductVariant/456"] }
+ */
+router.post('/', async (req, res) => {
+  if (!db) {
+    return res.status(500).json({ error: 'Database not available' });
+  }
+
+  const { query, matchType = 'normalized', redirectUrl, pinnedVariantIds } = req.body || {};
+  const validationError = validateRule({ query, matchType, redirectUrl, pinnedVariantIds }, true);
+
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  const rule = {
+    query,
+    match_type: matchType,
+    redirect_url: redirectUrl ?? null,
+    pinned_variant_ids: pinnedVariantIds ? pinnedVariantIds.map(toVariantGid) : null
+  };
+
+  if (db.findConflictingSearchRule(rule)) {
+    return res.status(409).json({ error: 'A rule for this query already exists' });
+  }
+
+  try {
+    res.status(201).json(await db.createSearchRule(rule));
+  } catch (error) {
+    console.error('❌ Create search rule error:', error);
+    res.status(500).json({ error: 'Failed to create search rule' });
+  }
+});
+
+/**
+ * PUT /api/rules/:id
+ *
+ * Same fields as POST, all optional. Setting redirectUrl turns a pinning
+ * rule into a redirect and vice versa; null clears a field, as long as the
+ * rule still redirects or pins.
+ */
+router.put('/:id', async (req, res) => {
+  if (!db) {
+    return res.status(500).json({ error: 'Database not available' });
+  }
+
+  const existing = db.getSearchRule(req.params.id);
+  if (!existing) {
+    return res.status(404).json({ error: 'Search rule not found' });
+  }
+
+  const { query, matchType, redirectUrl, pinnedVariantIds } = req.body || {};
+  const validationError = validateRule({ query, matchType, redirectUrl, pinnedVariantIds }, false);
+
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  // Setting one action clears the other, as in updateSearchRule
+  const redirectAfter = redirectUrl !== undefined ? redirectUrl : (pinnedVariantIds != null ? null : existing.redirect_url);
+  const pinnedAfter = pinnedVariantIds !== undefined ? pinnedVariantIds : (redirectUrl != null ? null : existing.pinned_variant_ids);
+
+  if (redirectAfter == null && pinnedAfter == null) {
+    return res.status(400).json({ error: 'redirectUrl or pinnedVariantIds is required' });
+  }
+
+  const changes = {
+    query,
+    match_type: matchType,
+    redirect_url: redirectUrl,
+    pinned_variant_ids: pinnedVariantIds === null ? null : pinnedVariantIds?.map(toVariantGid)
+  };
+
+  const conflict = db.findConflictingSearchRule({
+    query: query ?? existing.query,
+    match_type: matchType ?? existing.match_type
+  }, existing.id);
+
+  if (conflict) {
+    return res.status(409).json({ error: 'A rule for this query already exists' });
+  }
+
+  try {
+    res.json(await db.updateSearchRule(existing.id, changes));
+  } catch (error) {
+    console.error('❌ Update search rule error:', error);
+    res.status(500).json({ error: 'Failed to update search rule' });
+  }
+});
+
+/**
+ * DELETE /api/rules/:id
+ */
+router.delete('/:id', async (req, res) => {
+  if (!db) {
+    return res.status(500).json({ error: 'Database not available' });
+  }
+
+  try {
+    const { changes } = await db.deleteSearchRule(req.params.id);
+
+    if (changes === 0) {
+      return res.status(404).json({ error: 'Search rule not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Delete search rule error:', error);
+    res.status(500).json({ error: 'Failed to delete search rule' });
+  }
+});
+
+/**
+ * Validate a rule from the API; on update (isNew false) every field is optional
+ * Returns an error message, or null when the rule is valid.
+ */
+function validateRule({ query, matchType, redirectUrl, pinnedVariantIds }, isNew) {
+  if ((isNew || query !== undefined) &&
+      (typeof query !== 'string' || query.replace(/[^A-Z0-9]/gi, '').length < 2)) {
+    return 'query must contain at least 2 letters or digits';
+  }
+
+  if (matchType !== undefined && !DatabaseManager.RULE_MATCH_TYPES.includes(matchType)) {
+    return `matchType must be one of: ${DatabaseManager.RULE_MATCH_TYPES.join(', ')}`;
+  }
+
+  if (redirectUrl != null && pinnedVariantIds != null) {
+    return 'A rule either redirects (redirectUrl) or pins variants (pinnedVariantIds), not both';
+  }
+
+  if (isNew && redirectUrl == null && pinnedVariantIds == null) {
+    return 'redirectUrl or pinnedVariantIds is required';
+  }
+
+  if (redirectUrl != null && !isValidRedirectUrl(redirectUrl)) {
+    return 'redirectUrl must be an http(s) URL or a path starting with /';
+  }
+
+  if (pinnedVariantIds != null) {
+    const valid = Array.isArray(pinnedVariantIds) &&
+      pinnedVariantIds.length > 0 &&
+      pinnedVariantIds.length <= MAX_PINNED_VARIANTS &&
+      pinnedVariantIds.every(id => /^(\d+|gid:\/\/shopify\/ProductVariant\/\d+)$/.test(String(id).trim()));
+
+    if (!valid) {
+      return `pinnedVariantIds must list 1 to ${MAX_PINNED_VARIANTS} variant IDs`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Absolute http(s) URL, or a path on the storefront ("/collections/...")
+ */
+function isValidRedirectUrl(value) {
+  if (typeof value !== 'string') return false;
+  if (value.startsWith('/') && !value.startsWith('//')) return true;
+
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Accept numeric variant IDs as well as GIDs
+ */
+function toVariantGid(variantId) {
+  const value = String(variantId).trim();
+  return /^\d+$/.test(value) ? `gid://shopify/ProductVariant/${value}` : value;
+}
+
+module.exports = router;
@@ -4,6 +4,31 @@ const router = express.Router();
 
 let db = null;
 
+const SEARCH_MODES = ['exact', 'prefix', 'contains', 'text'];
+
+// Response shapes: bare array (checkMpnMatch), a page with a cursor, or
+// Shopify's predictive search (/search/suggest.json) products
+const RESPONSE_FORMATS = ['array', 'page', 'predictive'];
+
+// relevance: by score; popularity: most clicked first, then by score
+const SORT_ORDERS = ['relevance', 'popularity'];
+
+// Largest page a single request can ask for
+const MAX_LIMIT = 50;
+
+// Deepest match a cursor can page to
+const MAX_PAGED_RESULTS = 1000;
+
+// Matches fetched per requested result when they are reordered or grouped
+// after the search (sort=popularity, format=predictive)
+const CANDIDATES_PER_RESULT = 5;
+
+// Maximum lines accepted by POST /api/search/batch
+const MAX_BATCH_SIZE = 500;
+
+// Seconds browsers and CDNs may reuse a search response without revalidating
+const SEARCH_CACHE_MAX_AGE = parseMaxAge(process.env.SEARCH_CACHE_MAX_AGE, 60);
+
 // Inject database
 router.setDatabase = (database) => {
   db = database;
@@ -12,9 +37,89 @@ router.setDatabase = (database) => {
 
 /**
  * GET /api/search?q=7665PP
+ * GET /api/search?q=7665&mode=prefix
+ * GET /api/search?q=cadmium+red+7665&mode=text
  * 
  * The main search endpoint called by the storefront.
- * Returns variants matching the MPN exactly (after normalization).
+ * Returns variants matching the MPN (after normalization).
+ * 
+ * mode: "exact" (default), "prefix" (as-you-type), "contains" or "text".
+ * "text" is a BM25-ranked full-text search over product title, variant
+ * title, MPN and SKU for mixed keyword-plus-part-number queries.
+ * Every result is tagged with matchType so the theme can keep the
+ * "MPN MATCH" badge for true exact hits.
+ * 
+ * Matches on the fields enabled in the searchFields setting (MPN, normalized
+ * SKU and GTIN/UPC barcode); fields=mpn,sku narrows that per request.
+ * matchedOn ("mpn" | "sku" | "barcode", "text" in text mode) says which
+ * one matched so the theme can badge each kind differently.
+ * 
+ * fuzzy=true appends a typo-tolerant tier (matchType "fuzzy") below the
+ * regular results: lookalike characters (O/0, I/1/L, S/5, B/8) are folded
+ * and a bounded edit distance is allowed (override with distance=0..2).
+ * distance is 0 for non-fuzzy hits; didYouMean is true when the matched
+ * MPN differs from what was typed.
+ * 
+ * MPN search resolves cross-references from mpn_aliases: a hit on an
+ * alternate, legacy or competitor number returns the variant with
+ * matchedAlias (the number that matched) and aliasType, so the storefront
+ * can say "replaces 7665-PX".
+ * 
+ * Previous MPNs of a variant (recorded when a webhook or full sync changes
+ * it) stay searchable for the mpnHistoryRetentionDays setting. Those hits
+ * have historical: true and the old number in matchedAlias.
+ * 
+ * Results are ordered by score (higher is better): a weighted sum of match
+ * type, in-stock, published and product recency, with the weights from the
+ * rankingWeights setting. Ties fall back to MPN before alias/SKU/barcode,
+ * then the shortest match, then variant ID, so the order is stable.
+ * 
+ * Variants of draft, archived or unpublished products are never returned
+ * (the test endpoint can include them with includeHidden=true).
+ * 
+ * available=true leaves out variants that are not available for sale.
+ * Every result has available (true / false, null before the first sync
+ * that indexed it) so the theme can mark sold-out suggestions.
+ * 
+ * limit is 1-50 (default 10). format=page (implied by cursor) wraps the
+ * results for a "see all matches" page:
+ *   { "results": [...], "total": 37, "maxResults": 1000, "nextCursor": "eyJvIjoxMH0", "redirect": null }
+ * Pass nextCursor back as cursor for the next page; it is null on the last
+ * page. total is the number of matches on every page, even past
+ * maxResults, the deepest match the pages reach (limit * 5 with
+ * sort=popularity). cursor requires format=page. Without format=page the
+ * response is the bare array below.
+ * 
+ * format=predictive returns Shopify's predictive search shape, so the
+ * theme can concatenate it with /search/suggest.json products:
+ *   { "resources": { "results": { "products": [{ "id": 111, "title": "...",
+ *       "handle": "...", "url": "/products/...", "price": 1299, "variants": [...] }] } } }
+ * Matching variants are grouped under their product in rank order and
+ * limit counts products. Prices are in cents. Not paginated.
+ * 
+ * Responses carry ETag: W/"idx-<version>" and Cache-Control: public,
+ * max-age=SEARCH_CACHE_MAX_AGE (default 60). The index version goes up on
+ * every write to the index, aliases or search settings, so a request with a
+ * matching If-None-Match gets 304 Not Modified without running the search.
+ * 
+ * Search rules (/api/rules) match the whole query. A pinning rule puts
+ * its variants first with matchType "pinned"; a redirect rule skips the
+ * search and sends its URL in the X-Search-Redirect header (redirect in
+ * format=page) with no results, and the theme should navigate there.
+ * 
+ * sort=popularity takes the best limit × 5 matches by score and orders
+ * them by popularity (clicks recorded through POST /api/search/click within
+ * the analytics retention period, refreshed hourly), then by score; pages
+ * end after those.
+ * Every result has popularity.
+ * 
+ * Searches that run are logged for /api/analytics (term, result count,
+ * latency, origin), sampled by the analyticsSampleRate setting.
+ * 
+ * vendor=Acme restricts results to one manufacturer. Without it, a query
+ * like "Acme 7665PP" whose leading or trailing words name an indexed
+ * manufacturer is searched as vendor "Acme" + MPN "7665PP" (falling back
+ * to the whole query when that finds nothing).
  * 
  * Response format matches what header-tas.liquid expects:
  * [
@@ -25,18 +130,70 @@ router.setDatabase = (database) => {
  *     "variantTitle": "Cadmium Red / 8oz",
  *     "mpn": "7665-PP",
  *     "sku": "ACM-7665-PP",
+ *     "barcode": "012345678905",
+ *     "vendor": "Acme",
+ *     "manufacturer": "Acme Paints Inc.",
  *     "image": "https://cdn.shopify.com/...",
- *     "price": "12.99"
+ *     "price": "12.99",
+ *     "available": true,
+ *     "matchType": "exact",
+ *     "matchedOn": "mpn",
+ *     "matchedAlias": null,
+ *     "aliasType": null,
+ *     "historical": false,
+ *     "distance": 0,
+ *     "didYouMean": false,
+ *     "score": 116.42,
+ *     "popularity": 12
  *   }
  * ]
  */
 router.get('/', async (req, res) => {
   const startTime = Date.now();
-  const { q, limit = 10 } = req.query;
+  const { q, mode = 'exact', sort = 'relevance', fuzzy, distance, fields, vendor, available, cursor } = req.query;
+  const format = req.query.format || (cursor !== undefined ? 'page' : 'array');
+
+  if (!SEARCH_MODES.includes(mode)) {
+    return res.status(400).json({ error: `Invalid mode. Use one of: ${SEARCH_MODES.join(', ')}` });
+  }
+
+  if (!RESPONSE_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `Invalid format. Use one of: ${RESPONSE_FORMATS.join(', ')}` });
+  }
+
+  if (!SORT_ORDERS.includes(sort)) {
+    return res.status(400).json({ error: `Invalid sort. Use one of: ${SORT_ORDERS.join(', ')}` });
+  }
+
+  // Repeated parameters (?vendor=a&vendor=b) arrive as arrays
+  for (const [name, value] of Object.entries({ q, vendor })) {
+    if (value !== undefined && typeof value !== 'string') {
+      return res.status(400).json({ error: `${name} must be a single value` });
+    }
+  }
+
+  const limit = parseLimit(req.query.limit);
+  if (limit === null) {
+    return res.status(400).json({ error: `limit must be a whole number from 1 to ${MAX_LIMIT}` });
+  }
+
+  if (cursor !== undefined && format !== 'page') {
+    return res.status(400).json({ error: 'cursor requires format=page' });
+  }
+
+  const offset = cursor === undefined ? 0 : decodeCursor(cursor);
+  if (offset === null) {
+    return res.status(400).json({ error: 'Invalid cursor' });
+  }
+
+  const paged = format === 'page';
+  const predictive = format === 'predictive';
+  const byPopularity = sort === 'popularity';
 
   // Validate input
   if (!q || q.trim().length < 2) {
-    return res.json([]);
+    if (predictive) return res.json(formatPredictive([], limit));
+    return res.json(paged ? { results: [], total: 0, maxResults: MAX_PAGED_RESULTS, nextCursor: null, redirect: null } : []);
   }
 
   if (!db) {
@@ -44,25 +201,89 @@ router.get('/', async (req, res) => {
     return res.status(500).json({ error: 'Database not available' });
   }
 
+  // Any write bumps the index version, so the same version means the same results
+  res.set({
+    'ETag': `W/"idx-${db.indexVersion}"`,
+    'Cache-Control': `public, max-age=${SEARCH_CACHE_MAX_AGE}`
+  });
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  // A redirect rule replaces the results, so there is nothing to search
+  const rule = db.findSearchRule(q);
+  if (rule?.redirect_url) {
+    console.log(`🔍 MPN search "${q}" -> redirect ${rule.redirect_url}`);
+    if (paged) {
+      return res.json({ results: [], total: 0, maxResults: MAX_PAGED_RESULTS, nextCursor: null, redirect: rule.redirect_url });
+    }
+    // A bare array (or Shopify's shape) has no room for the redirect, so it goes in a header
+    res.set('X-Search-Redirect', rule.redirect_url);
+    return res.json(predictive ? formatPredictive([], limit) : []);
+  }
+
   try {
-    const results = await db.searchByMpn(q.trim(), parseInt(limit, 10));
+    // Pages are slices of one deterministic ranking, so a page only needs
+    // the matches up to its end, plus one to tell whether another follows.
+    // Popularity sort and product grouping work on a fixed pool of
+    // candidates instead, which keeps popularity pages stable.
+    const searchOptions = {
+      mode,
+      limit: predictive || byPopularity ? limit * CANDIDATES_PER_RESULT : offset + limit + 1,
+      fields: await resolveSearchFields(fields),
+      fuzzy: isEnabled(fuzzy),
+      maxDistance: parseMaxDistance(distance),
+      vendor,
+      available: isEnabled(available)
+    };
+    const searched = await runSearch(q.trim(), searchOptions);
+    const ranked = searched.results;
+    const organic = byPopularity ? sortByPopularity(ranked) : ranked;
+
+    // Pinned variants go first
+    const results = rule?.pinned_variant_ids
+      ? await pinVariants(rule.pinned_variant_ids, organic)
+      : organic;
     
     // Transform to frontend-expected format
-    const matches = results.map(row => ({
-      productHandle: row.product_handle,
-      variantId: row.variant_id,
-      productTitle: row.product_title,
-      variantTitle: row.variant_title,
-      mpn: row.mpn,
-      sku: row.sku,
-      image: row.image_url,
-      price: row.price
-    }));
+    const page = predictive ? [] : results.slice(offset, offset + limit);
+    const matches = page.map(formatResult);
+    const suggestions = predictive ? formatPredictive(results, limit) : null;
 
     const elapsed = Date.now() - startTime;
-    console.log(`🔍 MPN search "${q}" -> ${matches.length} results (${elapsed}ms)`);
+    const returned = predictive ? suggestions.resources.results.products.length : matches.length;
+    console.log(`🔍 MPN search "${q}" (${mode}) -> ${returned} results (${elapsed}ms)`);
+
+    // Analytics must never slow down or fail the storefront response
+    db.logSearchQuery({
+      term: q.trim(),
+      mode,
+      resultCount: predictive ? results.length : matches.length,
+      latencyMs: elapsed,
+      origin: requestOrigin(req)
+    }).catch(error => console.error('❌ Search analytics error:', error));
 
-    res.json(matches);
+    if (!paged) {
+      return res.json(predictive ? suggestions : matches);
+    }
+
+    // Count every match, not just the ranked slice; pinned variants that
+    // the search itself doesn't match still add to the total
+    const matchIds = new Set([
+      ...await db.listMatchingVariantIds(searched.term, { ...searchOptions, vendor: searched.vendor }),
+      ...results.map(row => row.variant_id)
+    ]);
+    const maxResults = byPopularity ? searchOptions.limit : MAX_PAGED_RESULTS;
+    const nextOffset = offset + limit;
+    const more = nextOffset < results.length && nextOffset < maxResults;
+    res.json({
+      results: matches,
+      total: matchIds.size,
+      maxResults,
+      nextCursor: more ? encodeCursor(nextOffset) : null,
+      redirect: null
+    });
 
   } catch (error) {
     console.error('❌ Search error:', error);
@@ -70,10 +291,406 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/search/batch
+ * 
+ * Resolve a pasted list of part numbers (quotes, BOMs) in one request.
+ * Exact match on the normalized MPN for every line, in a single query.
+ * 
+ * Body: { "items": ["7665-PP", { "mpn": "T567L", "quantity": 4 }] }
+ * 
+ * Response (one entry per input line, in order):
+ * {
+ *   "results": [
+ *     { "line": 1, "input": "7665-PP", "normalized": "7665PP", "quantity": null,
+ *       "matches": [ ...same shape as GET /api/search... ], "unmatched": false }
+ *   ],
+ *   "summary": { "total": 2, "matched": 1, "unmatched": 1 }
+ * }
+ */
+router.post('/batch', async (req, res) => {
+  const startTime = Date.now();
+  const { items } = req.body || {};
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({ error: 'items must be a non-empty array' });
+  }
+
+  if (items.length > MAX_BATCH_SIZE) {
+    return res.status(400).json({ error: `A batch can contain at most ${MAX_BATCH_SIZE} items` });
+  }
+
+  if (!db) {
+    console.error('❌ Database not initialized');
+    return res.status(500).json({ error: 'Database not available' });
+  }
+
+  try {
+    const lines = items.map((item, index) => {
+      const input = typeof item === 'string' ? item : item?.mpn;
+      const quantity = parseInt(item?.quantity, 10);
+      const normalized = typeof input === 'string' ? db.normalizeMpn(input.trim()) : null;
+
+      return {
+        line: index + 1,
+        input: input ?? null,
+        normalized: normalized && normalized.length >= 2 ? normalized : null,
+        quantity: Number.isNaN(quantity) ? null : quantity
+      };
+    });
+
+    const matchesByMpn = await db.searchByMpnBatch(lines.map(line => line.normalized));
+
+    const results = lines.map(line => {
+      const matches = (matchesByMpn.get(line.normalized) || []).map(formatResult);
+      return { ...line, matches, unmatched: matches.length === 0 };
+    });
+
+    const matched = results.filter(r => !r.unmatched).length;
+    const elapsed = Date.now() - startTime;
+    console.log(`🔍 MPN batch of ${results.length} -> ${matched} matched (${elapsed}ms)`);
+
+    res.json({
+      results,
+      summary: {
+        total: results.length,
+        matched,
+        unmatched: results.length - matched
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Batch search error:', error);
+    res.status(500).json({ error: 'Batch search failed' });
+  }
+});
+
+/**
+ * POST /api/search/click
+ * 
+ * Click-through beacon: the storefront reports which suggestion a shopper
+ * picked. Meant for navigator.sendBeacon, which posts a text/plain body
+ * (no CORS preflight); application/json works too.
+ * 
+ * Body: { "q": "7665pp", "variantId": "gid://shopify/ProductVariant/123", "position": 1 }
+ * 
+ * position is the 1-based rank of the picked suggestion. Responds 204.
+ */
+router.post('/click', express.text({ type: 'text/plain', limit: '2kb' }), async (req, res) => {
+  const click = parseClickBody(req.body);
+
+  if (!click) {
+    return res.status(400).json({
+      error: `Send { q, variantId, position } with a search term, a variant ID and a position from 1 to ${MAX_PAGED_RESULTS}`
+    });
+  }
+
+  if (!db) {
+    return res.status(500).json({ error: 'Database not available' });
+  }
+
+  try {
+    await db.logSearchClick(click);
+    res.status(204).end();
+  } catch (error) {
+    console.error('❌ Click tracking error:', error);
+    res.status(500).json({ error: 'Failed to record click' });
+  }
+});
+
+/**
+ * Run the regular tier (mode) and the optional fuzzy tier for a term.
+ * Without an explicit vendor, first tries a vendor parsed out of the term.
+ * Returns { results, vendor, term } - the vendor and MPN part actually used.
+ */
+async function runSearch(term, options) {
+  if (!options.vendor && options.mode !== 'text') {
+    const parsed = await db.parseVendorQuery(term);
+
+    if (parsed) {
+      const results = await runTiers(parsed.term, { ...options, vendor: parsed.vendor });
+      if (results.length > 0) {
+        return { results, ...parsed };
+      }
+    }
+  }
+
+  const results = await runTiers(term, options);
+  return { results, vendor: options.vendor || null, term };
+}
+
+async function runTiers(term, options) {
+  const { mode, limit, fields, fuzzy, maxDistance } = options;
+  const results = mode === 'text'
+    ? await db.searchText(term, limit, options)
+    : await db.searchByMpn(term, limit, options);
+
+  // Fuzzy tier fills the remaining slots, ranked below every regular hit
+  if (fuzzy && fields.includes('mpn') && results.length < limit) {
+    const fuzzyResults = await db.searchFuzzy(term, limit - results.length, {
+      ...options,
+      maxDistance,
+      excludeIds: results.map(row => row.variant_id)
+    });
+    results.push(...fuzzyResults);
+  }
+
+  return results;
+}
+
+/**
+ * Transform a search row to the storefront response format
+ */
+function formatResult(row) {
+  return {
+    productHandle: row.product_handle,
+    variantId: row.variant_id,
+    productTitle: row.product_title,
+    variantTitle: row.variant_title,
+    mpn: row.mpn,
+    sku: row.sku,
+    barcode: row.barcode,
+    vendor: row.vendor,
+    manufacturer: row.manufacturer,
+    image: row.image_url,
+    price: row.price,
+    available: row.available_for_sale == null ? null : row.available_for_sale === 1,
+    matchType: row.match_type,
+    matchedOn: row.matched_on,
+    matchedAlias: row.matched_alias ?? null,
+    aliasType: row.alias_type ?? null,
+    historical: Boolean(row.historical),
+    distance: row.distance ?? 0,
+    didYouMean: Boolean(row.did_you_mean),
+    score: row.score == null ? null : Math.round(row.score * 100) / 100,
+    popularity: db.getPopularity(row.variant_id)
+  };
+}
+
+/**
+ * Group search rows under their products in Shopify's predictive search
+ * shape: products in order of their best-ranked variant, at most limit
+ */
+function formatPredictive(rows, limit) {
+  const products = new Map();
+
+  for (const row of rows) {
+    let product = products.get(row.product_id);
+
+    if (!product) {
+      if (products.size === limit) continue;
+
+      product = {
+        id: shopifyId(row.product_id),
+        title: row.product_title,
+        handle: row.product_handle,
+        vendor: row.vendor,
+        url: `/products/${row.product_handle}`,
+        image: null,
+        featured_image: null,
+        available: false,
+        price: null,
+        price_min: null,
+        price_max: null,
+        price_varies: false,
+        variants: []
+      };
+      products.set(row.product_id, product);
+    }
+
+    const match = formatResult(row);
+    const price = priceInCents(row.price);
+
+    product.variants.push({
+      id: shopifyId(row.variant_id),
+      title: row.variant_title,
+      sku: row.sku,
+      mpn: row.mpn,
+      url: `/products/${row.product_handle}?variant=${shopifyId(row.variant_id)}`,
+      image: row.image_url,
+      featured_image: row.image_url ? { url: row.image_url, alt: row.product_title } : null,
+      available: match.available === true,
+      price,
+      matchType: match.matchType,
+      matchedOn: match.matchedOn,
+      matchedAlias: match.matchedAlias
+    });
+
+    // The product takes the image of its best-ranked variant that has one
+    if (!product.image && row.image_url) {
+      product.image = row.image_url;
+      product.featured_image = { url: row.image_url, alt: row.product_title };
+    }
+
+    product.available = product.available || match.available === true;
+
+    if (price !== null) {
+      product.price_min = product.price_min === null ? price : Math.min(product.price_min, price);
+      product.price_max = product.price_max === null ? price : Math.max(product.price_max, price);
+      product.price = product.price_min;
+      product.price_varies = product.price_min !== product.price_max;
+    }
+  }
+
+  return { resources: { results: { products: [...products.values()] } } };
+}
+
+/**
+ * Numeric ID from a GID ("gid://shopify/ProductVariant/123" -> 123), as
+ * Shopify's storefront JSON uses
+ */
+function shopifyId(gid) {
+  const id = String(gid).split('/').pop();
+  return /^\d+$/.test(id) ? Number(id) : id;
+}
+
+/**
+ * "12.99" -> 1299 (null when the price is unknown)
+ */
+function priceInCents(price) {
+  const amount = parseFloat(price);
+  return Number.isNaN(amount) ? null : Math.round(amount * 100);
+}
+
+/**
+ * Pinned variants (in rule order) ahead of the organic matches, which
+ * drop their own copy of a pinned variant
+ */
+async function pinVariants(variantIds, organic) {
+  const pinned = await db.getPinnedVariants(variantIds);
+  const pinnedIds = new Set(pinned.map(row => row.variant_id));
+
+  return [...pinned, ...organic.filter(row => !pinnedIds.has(row.variant_id))];
+}
+
+/**
+ * Most clicked first; the sort is stable, so ties keep the score order
+ */
+function sortByPopularity(rows) {
+  return [...rows].sort((a, b) => db.getPopularity(b.variant_id) - db.getPopularity(a.variant_id));
+}
+
+/**
+ * Fields enabled in settings, optionally narrowed by a comma-separated
+ * fields query parameter
+ */
+async function resolveSearchFields(requested) {
+  const enabled = await db.getSetting('searchFields');
+  if (!requested) return enabled;
+
+  const wanted = String(requested).split(',').map(f => f.trim());
+  return enabled.filter(field => wanted.includes(field));
+}
+
+/**
+ * Storefront the search came from: the Origin header, or the origin of
+ * the Referer for same-origin requests that omit it
+ */
+function requestOrigin(req) {
+  const origin = req.get('Origin');
+  if (origin) return origin;
+
+  try {
+    return new URL(req.get('Referer')).origin;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Validate a click beacon body (JSON object, or JSON text from sendBeacon)
+ * Returns { term, variantId, position } or null when it is invalid.
+ */
+function parseClickBody(body) {
+  let data = body;
+
+  if (typeof body === 'string') {
+    try {
+      data = JSON.parse(body);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  const term = typeof data?.q === 'string' ? data.q.trim() : '';
+  const variantId = /^\d+$/.test(String(data?.variantId ?? ''))
+    ? `gid://shopify/ProductVariant/${data.variantId}`
+    : data?.variantId;
+  const position = Number(data?.position);
+
+  if (term.length < 2 ||
+      typeof variantId !== 'string' || !/^gid:\/\/shopify\/ProductVariant\/\d+$/.test(variantId) ||
+      !Number.isInteger(position) || position < 1 || position > MAX_PAGED_RESULTS) {
+    return null;
+  }
+
+  return { term, variantId, position };
+}
+
+/**
+ * Query-string boolean ("true" / "1")
+ */
+function isEnabled(value) {
+  return value === 'true' || value === '1';
+}
+
+/**
+ * Page size from the query string: default 10, larger values capped at
+ * MAX_LIMIT. Returns null when the value is not a positive whole number.
+ */
+function parseLimit(value) {
+  if (value === undefined || value === '') return 10;
+  if (!/^\d+$/.test(value)) return null;
+
+  const parsed = parseInt(value, 10);
+  return parsed < 1 ? null : Math.min(parsed, MAX_LIMIT);
+}
+
+/**
+ * Opaque pagination cursor (base64url JSON holding the offset)
+ */
+function encodeCursor(offset) {
+  return Buffer.from(JSON.stringify({ o: offset })).toString('base64url');
+}
+
+/**
+ * Offset from a cursor, or null when the cursor is invalid
+ */
+function decodeCursor(cursor) {
+  try {
+    const { o } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return Number.isInteger(o) && o >= 0 && o < MAX_PAGED_RESULTS ? o : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Parse the fuzzy distance override, clamped to 0-2
+ * Returns undefined to use the length-based default
+ */
+function parseMaxDistance(value) {
+  const parsed = parseInt(value, 10);
+  if (Number.isNaN(parsed)) return undefined;
+  return Math.min(Math.max(parsed, 0), 2);
+}
+
+/**
+ * Cache lifetime in seconds from the environment (0 = always revalidate)
+ */
+function parseMaxAge(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed;
+}
+
 /**
  * GET /api/search/stats
  * 
- * Returns index statistics for the dashboard.
+ * Returns index statistics for the dashboard, including how many indexed
+ * variants search hides (excluded_variants) and why: excluded_draft,
+ * excluded_archived, excluded_unpublished. indexVersion is the version in
+ * the search ETag. hotIndex has the in-memory
+ * index size and its hit / miss / fallback counters since startup.
  */
 router.get('/stats', async (req, res) => {
   if (!db) {
@@ -82,7 +699,7 @@ router.get('/stats', async (req, res) => {
 
   try {
     const stats = await db.getIndexStats();
-    res.json(stats);
+    res.json({ ...stats, indexVersion: db.indexVersion, hotIndex: db.hotIndex.getStats() });
   } catch (error) {
     console.error('❌ Stats error:', error);
     res.status(500).json({ error: 'Failed to get stats' });
@@ -90,9 +707,10 @@ router.get('/stats', async (req, res) => {
 });
 
 /**
- * GET /api/search/test/:mpn
+ * GET /api/search/test/:mpn?mode=prefix&fuzzy=true&fields=mpn,sku&vendor=Acme&includeHidden=true
  * 
  * Test endpoint for debugging - shows raw search results.
+ * includeHidden=true also returns draft, archived and unpublished products.
  */
 router.get('/test/:mpn', async (req, res) => {
   if (!db) {
@@ -100,16 +718,40 @@ router.get('/test/:mpn', async (req, res) => {
   }
 
   const { mpn } = req.params;
+  const mode = SEARCH_MODES.includes(req.query.mode) ? req.query.mode : 'exact';
+
+  if (req.query.vendor !== undefined && typeof req.query.vendor !== 'string') {
+    return res.status(400).json({ error: 'vendor must be a single value' });
+  }
   const normalized = db.normalizeMpn(mpn);
 
   try {
-    const results = await db.searchByMpn(mpn, 20);
+    const searchFields = await resolveSearchFields(req.query.fields);
+    const { results, vendor, term } = await runSearch(mpn, {
+      mode,
+      limit: 20,
+      fields: searchFields,
+      fuzzy: isEnabled(req.query.fuzzy),
+      vendor: req.query.vendor,
+      available: isEnabled(req.query.available),
+      includeHidden: isEnabled(req.query.includeHidden)
+    });
     
     res.json({
       query: mpn,
       normalized,
+      folded: db.foldMpn(normalized),
+      mode,
+      fields: searchFields,
+      vendor,
+      searchedTerm: term,
+      rankingWeights: db.rankingWeights,
+      rule: db.findSearchRule(mpn),
       resultCount: results.length,
-      results
+      results: results.map(row => ({
+        ...formatResult(row),
+        scoreBreakdown: db.explainScore(row)
+      }))
     });
   } catch (error) {
     console.error('❌ Test search error:', error);
@@ -0,0 +1,262 @@
+// routes/settings.js - App Settings (stored in the settings table)
+const express = require('express');
+const router = express.Router();
+const DatabaseManager = require('../database/setup');
+const MpnNormalizer = require('../services/mpnNormalizer');
+const syncRoutes = require('./sync');
+
+let db = null;
+
+// Upper bound for how long previous MPNs stay searchable (0 disables history)
+const MAX_HISTORY_RETENTION_DAYS = 3650;
+
+// Upper bound for a single ranking weight
+const MAX_RANKING_WEIGHT = 1000;
+
+// Upper bound for how long the search analytics log is kept
+const MAX_ANALYTICS_RETENTION_DAYS = 365;
+
+// Inject database
+router.setDatabase = (database) => {
+  db = database;
+  console.log('✅ Database passed to settings routes');
+};
+
+/**
+ * Settings that can be changed from the admin.
+ * validate returns an error message, or null when the value is valid.
+ * save replaces the plain db.setSetting write and may return extra
+ * fields for the response (normalizationRules also gets the claimed sync
+ * slot its rebuild runs in).
+ */
+const EDITABLE_SETTINGS = {
+  searchFields: {
+    validate: (value) => {
+      const valid = Array.isArray(value) &&
+        value.length > 0 &&
+        value.every(field => DatabaseManager.SEARCH_FIELDS.includes(field));
+
+      return valid
+        ? null
+        : `searchFields must be a non-empty array of: ${DatabaseManager.SEARCH_FIELDS.join(', ')}`;
+    }
+  },
+  normalizationRules: {
+    validate: MpnNormalizer.validate,
+    // The rebuild job saves the rules once the index has been rewritten
+    save: (value, rebuild) => startNormalizationRebuild(value, rebuild)
+  },
+  mpnHistoryRetentionDays: {
+    validate: (value) => (Number.isInteger(value) && value >= 0 && value <= MAX_HISTORY_RETENTION_DAYS)
+      ? null
+      : `mpnHistoryRetentionDays must be a whole number of days from 0 to ${MAX_HISTORY_RETENTION_DAYS}`,
+    save: async (value) => {
+      await db.setHistoryRetention(value);
+    }
+  },
+  rankingWeights: {
+    validate: validateRankingWeights,
+    save: (value) => db.setRankingWeights(value)
+  },
+  analyticsSampleRate: {
+    validate: (value) => (typeof value === 'number' && value >= 0 && value <= 1)
+      ? null
+      : 'analyticsSampleRate must be a number from 0 (log nothing) to 1 (log every search)',
+    save: (value) => db.setAnalyticsSampleRate(value)
+  },
+  analyticsRetentionDays: {
+    validate: (value) => (Number.isInteger(value) && value >= 1 && value <= MAX_ANALYTICS_RETENTION_DAYS)
+      ? null
+      : `analyticsRetentionDays must be a whole number of days from 1 to ${MAX_ANALYTICS_RETENTION_DAYS}`,
+    save: (value) => db.setAnalyticsRetention(value)
+  }
+};
+
+/**
+ * GET /api/settings
+ * 
+ * Returns environment configuration merged with stored settings.
+ */
+router.get('/', async (req, res) => {
+  if (!db) {
+    return res.status(500).json({ error: 'Database not available' });
+  }
+  
+  try {
+    const settings = await db.getAllSettings();
+    res.json({
+      metafieldNamespace: process.env.MPN_METAFIELD_NAMESPACE || 'custom',
+      metafieldKey: process.env.MPN_METAFIELD_KEY || 'manufacturer_item_number',
+      shop: process.env.SHOPIFY_SHOP || null,
+      ...settings
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get settings' });
+  }
+});
+
+/**
+ * PUT /api/settings
+ * 
+ * Update one or more editable settings.
+ * Body: { "searchFields": ["mpn", "sku"] }
+ */
+router.put('/', async (req, res) => {
+  if (!db) {
+    return res.status(500).json({ error: 'Database not available' });
+  }
+
+  const updates = req.body || {};
+  const keys = Object.keys(updates);
+
+  if (keys.length === 0) {
+    return res.status(400).json({ error: 'No settings provided' });
+  }
+
+  for (const key of keys) {
+    const setting = EDITABLE_SETTINGS[key];
+
+    if (!setting) {
+      return res.status(400).json({ error: `Setting "${key}" cannot be changed` });
+    }
+
+    const validationError = setting.validate(updates[key]);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+  }
+
+  // Claimed before the first await, in the slot syncs use, so a rebuild
+  // never overlaps another rebuild or a sync
+  const rebuilding = keys.includes('normalizationRules');
+  const rebuild = rebuilding ? syncRoutes.claimJob('normalize') : null;
+
+  if (rebuilding && !rebuild) {
+    return res.status(409).json(syncRoutes.runningJobError());
+  }
+
+  try {
+    let extra = {};
+
+    for (const key of keys) {
+      const setting = EDITABLE_SETTINGS[key];
+
+      if (setting.save) {
+        extra = { ...extra, ...await setting.save(updates[key], rebuild) };
+      } else {
+        await db.setSetting(key, updates[key]);
+      }
+    }
+
+    console.log(`⚙️ Settings updated: ${keys.join(', ')}`);
+    res.json({ success: true, settings: await db.getAllSettings(), ...extra });
+  } catch (error) {
+    // Release the claim if the rebuild job never started
+    if (rebuild && rebuild.jobId === null) {
+      syncRoutes.releaseJob(rebuild);
+    }
+
+    console.error('❌ Settings update error:', error);
+    res.status(500).json({ error: 'Failed to update settings' });
+  }
+});
+
+/**
+ * POST /api/settings/normalization/preview
+ * 
+ * Try normalization rules on sample MPNs without saving them.
+ * Body: { "rules": [...], "samples": ["ACM-007665-PP/B"] }
+ */
+router.post('/normalization/preview', (req, res) => {
+  const { rules, samples } = req.body || {};
+
+  const validationError = MpnNormalizer.validate(rules);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  if (!Array.isArray(samples)) {
+    return res.status(400).json({ error: 'samples must be an array' });
+  }
+
+  const normalizer = new MpnNormalizer(rules);
+  res.json({
+    results: samples.slice(0, 50).map(input => ({
+      input,
+      normalized: normalizer.normalize(input)
+    }))
+  });
+});
+
+/**
+ * rankingWeights must give a number for every ranking signal
+ */
+function validateRankingWeights(weights) {
+  const signals = DatabaseManager.RANKING_SIGNALS;
+
+  if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+    return `rankingWeights must be an object with: ${signals.join(', ')}`;
+  }
+
+  for (const signal of signals) {
+    const weight = weights[signal];
+    if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0 || weight > MAX_RANKING_WEIGHT) {
+      return `rankingWeights.${signal} must be a number from 0 to ${MAX_RANKING_WEIGHT}`;
+    }
+  }
+
+  const unknown = Object.keys(weights).find(key => !signals.includes(key));
+  if (unknown) {
+    return `Unknown ranking signal "${unknown}"`;
+  }
+
+  return null;
+}
+
+/**
+ * Start re-normalizing the existing index with new rules in the sync slot
+ * the caller claimed.
+ * Tracked as a "normalize" job in sync_status, so it shows up in sync history.
+ */
+async function startNormalizationRebuild(rules, rebuild) {
+  const shop = process.env.SHOPIFY_SHOP || '';
+  const { id: jobId } = await db.createSyncJob(shop, 'normalize');
+
+  console.log(`🔄 Starting normalization rebuild job #${jobId}`);
+
+  syncRoutes.startJob(rebuild, jobId, () => runNormalizationRebuild(jobId, rules));
+
+  return {
+    rebuildJobId: jobId,
+    statusUrl: `/api/sync/status/${jobId}`
+  };
+}
+
+/**
+ * Recompute mpn_normalized for existing rows (no Shopify sync needed)
+ * Searches keep using the previous rules until the rebuild completes.
+ */
+async function runNormalizationRebuild(jobId, rules) {
+  let changedVariants = 0;
+
+  try {
+    const { total, changed } = await db.rebuildNormalizedMpns(rules, async (processed, total, changed) => {
+      changedVariants = changed;
+      await db.updateSyncJob(jobId, {
+        total_variants: total,
+        processed_variants: processed,
+        indexed_variants: changed
+      });
+    });
+
+    await db.completeSyncJob(jobId, 'completed', changed);
+    console.log(`✅ Job #${jobId}: Normalization rebuild complete - ${changed}/${total} variants changed`);
+
+  } catch (error) {
+    console.error(`❌ Job #${jobId}: Normalization rebuild failed:`, error);
+    await db.completeSyncJob(jobId, 'failed', changedVariants, error.message);
+    throw error;
+  }
+}
+
+module.exports = router;
@@ -0,0 +1,68 @@
+// routes/storefront.js - Hosted Storefront Script (window.MpnSearch)
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const router = express.Router();
+
+// Built by `npm run build` in frontend/ (source: frontend/storefront/mpn-search.js)
+const SCRIPT_PATH = path.join(__dirname, '..', 'frontend', 'dist', 'storefront', 'mpn-search.js');
+
+// The script is versioned with the frontend package
+const SCRIPT_VERSION = require('../frontend/package.json').version;
+
+// Cache lifetimes: ?v= pinned to the current version never changes,
+// the unversioned URL picks up new releases within minutes
+const VERSIONED_MAX_AGE = 365 * 24 * 60 * 60;
+const UNVERSIONED_MAX_AGE = 5 * 60;
+
+let cached = null;
+
+/**
+ * GET /storefront/mpn-search.js?v=1.0.0
+ *
+ * The drop-in script themes load with a <script> tag. Any origin may load
+ * it; configuration comes from the tag's data attributes.
+ */
+router.get('/mpn-search.js', (req, res) => {
+  const script = loadScript();
+
+  if (!script) {
+    return res.status(404).type('application/javascript')
+      .send('// MPN search script not built - run `npm run build` in frontend/\n');
+  }
+
+  const maxAge = req.query.v === SCRIPT_VERSION ? VERSIONED_MAX_AGE : UNVERSIONED_MAX_AGE;
+
+  res.set({
+    'Content-Type': 'application/javascript; charset=utf-8',
+    'Cache-Control': `public, max-age=${maxAge}`,
+    'ETag': script.etag,
+    'X-MpnSearch-Version': SCRIPT_VERSION,
+    // Helmet defaults to same-origin, which would block theme <script> tags
+    'Cross-Origin-Resource-Policy': 'cross-origin'
+  });
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  res.send(script.body);
+});
+
+/**
+ * Read the built script once per process
+ */
+function loadScript() {
+  if (cached) return cached;
+  if (!fs.existsSync(SCRIPT_PATH)) return null;
+
+  const body = fs.readFileSync(SCRIPT_PATH);
+  const hash = crypto.createHash('sha256').update(body).digest('hex').slice(0, 16);
+
+  cached = { body, etag: `"${SCRIPT_VERSION}-${hash}"` };
+  console.log(`📦 Storefront script v${SCRIPT_VERSION} loaded (${body.length} bytes)`);
+  return cached;
+}
+
+module.exports = router;
@@ -6,6 +6,14 @@ const crypto = require('crypto');
 let db = null;
 let shopifyService = null;
 
+// Variants written to the index per batch while a bulk export streams in
+const SYNC_BATCH_SIZE = 500;
+
+// Full sync, incremental sync or normalization rebuild in progress (one at
+// a time; full syncs share one staging index):
+// { type, jobId, controller, bulkOperationId, done }
+let activeSync = null;
+
 // Inject dependencies
 router.setDatabase = (database) => {
   db = database;
@@ -17,18 +25,36 @@ router.setShopifyService = (service) => {
   console.log('✅ Shopify service passed to sync routes');
 };
 
+// The normalization rebuild (routes/settings.js) runs in the same slot, so
+// it never overlaps a sync: claimJob returns null while one is running
+router.claimJob = (type) => activeSync ? null : claimSync(type);
+router.startJob = (sync, jobId, run) => startSyncJob(sync, jobId, run);
+router.runningJobError = () => syncRunningError();
+router.releaseJob = (sync) => {
+  if (activeSync === sync) activeSync = null;
+};
+
 /**
  * POST /api/sync/full
  * 
- * Triggers a full sync of all variants with MPNs from Shopify.
+ * Triggers a full sync of all variants with an MPN, SKU or barcode from Shopify.
  * Uses Bulk Operations API for large catalogs.
  * This is an async operation - returns immediately with job ID.
+ * 
+ * The new index is built next to the live one and swapped in when
+ * complete, so search keeps working during the sync and a failed sync
+ * leaves the previous index in place. 409 while another sync runs.
  */
 router.post('/full', async (req, res) => {
   if (!db || !shopifyService) {
     return res.status(500).json({ error: 'Services not initialized' });
   }
 
+  if (activeSync) {
+    return res.status(409).json(syncRunningError());
+  }
+
+  const sync = claimSync('full');
   const shop = process.env.SHOPIFY_SHOP;
   
   try {
@@ -38,9 +64,7 @@ router.post('/full', async (req, res) => {
     console.log(`🔄 Starting full sync job #${jobId} for ${shop}`);
     
     // Start async sync (don't await)
-    runFullSync(jobId, shop).catch(error => {
-      console.error(`❌ Sync job #${jobId} failed:`, error);
-    });
+    startSyncJob(sync, jobId, () => runFullSync(jobId, shop, sync));
 
     res.json({
       success: true,
@@ -50,6 +74,7 @@ router.post('/full', async (req, res) => {
     });
 
   } catch (error) {
+    activeSync = null;
     console.error('❌ Failed to start sync:', error);
     res.status(500).json({ error: 'Failed to start sync' });
   }
@@ -57,58 +82,76 @@ router.post('/full', async (req, res) => {
 
 /**
  * Run the full sync process using Bulk Operations
+ * Variants are written to the staging index; the live index is only
+ * replaced once every batch has been inserted.
  */
-async function runFullSync(jobId, shop) {
+async function runFullSync(jobId, shop, sync) {
   let totalIndexed = 0;
+  let processed = 0;
+  let batchNumber = 0;
+  let writeMs = 0;
 
   try {
     console.log(`📦 Job #${jobId}: Starting bulk export from Shopify...`);
     
     const metafieldNamespace = process.env.MPN_METAFIELD_NAMESPACE || 'custom';
     const metafieldKey = process.env.MPN_METAFIELD_KEY || 'manufacturer_item_number';
+
+    // Build the new index next to the live one, which keeps serving searches
+    console.log(`🏗️ Job #${jobId}: Building new index in staging tables...`);
+    await db.beginStagedIndex();
     
-    // Use bulk operations to fetch all variants
-    const variants = await shopifyService.bulkFetchVariants(
+    // Bulk export all variants, staging each batch as it is parsed
+    const exported = await shopifyService.bulkFetchVariants(
       metafieldNamespace,
       metafieldKey,
-      (status, objectCount) => {
-        console.log(`📊 Job #${jobId}: Bulk operation ${status}, ${objectCount} objects`);
+      async (batch) => {
+        sync.controller.signal.throwIfAborted();
+
+        const batchStart = Date.now();
+        const { indexed } = await db.stageVariants(batch.map(toIndexedVariant));
+        writeMs += Date.now() - batchStart;
+        totalIndexed += indexed;
+        processed += batch.length;
+
+        console.log(`📦 Job #${jobId}: Inserted batch ${++batchNumber} (${totalIndexed} indexed, ${rowsPerSecond(processed, writeMs)} rows/sec)`);
+
+        await db.updateSyncJob(jobId, {
+          processed_variants: processed,
+          indexed_variants: totalIndexed,
+          rows_per_second: rowsPerSecond(processed, writeMs)
+        });
+      },
+      {
+        manufacturerMetafield: getManufacturerMetafield(),
+        batchSize: SYNC_BATCH_SIZE,
+        onStatus: (status, objectCount) => {
+          console.log(`📊 Job #${jobId}: Bulk operation ${status}, ${objectCount} objects`);
+        },
+        onDownloadProgress: (progress) => reportDownloadProgress(jobId, progress),
+        onStart: (bulkOperationId) => {
+          sync.bulkOperationId = bulkOperationId;
+        },
+        signal: sync.controller.signal
       }
     );
 
-    console.log(`📦 Job #${jobId}: Received ${variants.length} variants from bulk export`);
-
-    // Clear existing index before inserting new data
-    console.log(`🗑️ Job #${jobId}: Clearing existing index...`);
-    await db.clearIndex();
-
-    // Transform and bulk insert
-    const transformedVariants = variants.map(v => ({
-      variant_id: v.id,
-      product_id: v.product.id,
-      product_handle: v.product.handle,
-      product_title: v.product.title,
-      variant_title: v.title,
-      image_url: v.image?.url || v.product.featuredImage?.url || null,
-      mpn: v.mpn,
-      sku: v.sku,
-      price: v.price
-    }));
-
-    // Insert in batches of 500
-    const batchSize = 500;
-    for (let i = 0; i < transformedVariants.length; i += batchSize) {
-      const batch = transformedVariants.slice(i, i + batchSize);
-      const { indexed } = await db.bulkUpsertVariants(batch);
-      totalIndexed += indexed;
-      
-      console.log(`📦 Job #${jobId}: Inserted batch ${Math.floor(i / batchSize) + 1} (${totalIndexed}/${variants.length})`);
-      
-      // Update job progress
-      await db.updateSyncJob(jobId, {
-        processed_variants: i + batch.length,
-        indexed_variants: totalIndexed
-      });
+    console.log(`📦 Job #${jobId}: Received ${exported.variants} variants from bulk export`);
+    sync.controller.signal.throwIfAborted();
+    await db.updateSyncJob(jobId, { total_variants: exported.variants });
+
+    // Atomically replace the live index (changed MPNs go to mpn_history)
+    console.log(`🔀 Job #${jobId}: Swapping in new index...`);
+    await db.swapStagedIndex();
+
+    // Changes made while the export ran are picked up by the next
+    // incremental sync. The cursor is Shopify's start time for the bulk
+    // operation, so the server clock can't make it skip updates.
+    await db.setSetting('syncCursor', exported.startedAt);
+
+    const { changes: expired } = await db.pruneMpnHistory();
+    if (expired > 0) {
+      console.log(`🧹 Job #${jobId}: Pruned ${expired} expired MPN history entries`);
     }
 
     // Mark job complete
@@ -116,7 +159,169 @@ async function runFullSync(jobId, shop) {
     console.log(`✅ Job #${jobId}: Full sync complete - ${totalIndexed} variants indexed`);
 
   } catch (error) {
-    console.error(`❌ Job #${jobId}: Sync failed:`, error);
+    await db.discardStagedIndex().catch(discardError => {
+      console.error(`❌ Job #${jobId}: Failed to drop staging index:`, discardError);
+    });
+
+    if (sync.controller.signal.aborted) {
+      console.log(`🛑 Job #${jobId}: Full sync canceled, previous index kept`);
+      await db.completeSyncJob(jobId, 'canceled', totalIndexed, 'Canceled');
+      return;
+    }
+
+    console.error(`❌ Job #${jobId}: Sync failed, previous index kept:`, error);
+    await db.completeSyncJob(jobId, 'failed', totalIndexed, error.message);
+    throw error;
+  }
+}
+
+/**
+ * POST /api/sync/incremental
+ * 
+ * Syncs only what changed since the last successful full or incremental
+ * sync (the syncCursor setting): a bulk export of products with
+ * updated_at after the cursor, whose variants are upserted (variants
+ * without an MPN, SKU or barcode or no longer on the product are removed), plus products
+ * deleted since then. Cheap enough to run every few minutes.
+ * Returns immediately with a job ID; 409 without a previous sync or while
+ * another sync runs.
+ */
+router.post('/incremental', async (req, res) => {
+  if (!db || !shopifyService) {
+    return res.status(500).json({ error: 'Services not initialized' });
+  }
+
+  if (activeSync) {
+    return res.status(409).json(syncRunningError());
+  }
+
+  const sync = claimSync('incremental');
+  const shop = process.env.SHOPIFY_SHOP;
+
+  try {
+    const since = await db.getSetting('syncCursor');
+    if (!since) {
+      activeSync = null;
+      return res.status(409).json({ error: 'No previous sync to continue from - run a full sync first' });
+    }
+
+    const { id: jobId } = await db.createSyncJob(shop, 'incremental');
+
+    console.log(`🔄 Starting incremental sync job #${jobId} for ${shop} (changes since ${since})`);
+
+    startSyncJob(sync, jobId, () => runIncrementalSync(jobId, since, sync));
+
+    res.json({
+      success: true,
+      jobId,
+      since,
+      message: 'Incremental sync started',
+      statusUrl: `/api/sync/status/${jobId}`
+    });
+
+  } catch (error) {
+    activeSync = null;
+    console.error('❌ Failed to start incremental sync:', error);
+    res.status(500).json({ error: 'Failed to start sync' });
+  }
+});
+
+/**
+ * Run an incremental sync: re-index products updated after `since` and
+ * drop products deleted after it. The cursor only moves on success, so a
+ * failed run is retried in full by the next one.
+ */
+async function runIncrementalSync(jobId, since, sync) {
+  let totalIndexed = 0;
+  let processed = 0;
+  let writeMs = 0;
+
+  try {
+    const metafieldNamespace = process.env.MPN_METAFIELD_NAMESPACE || 'custom';
+    const metafieldKey = process.env.MPN_METAFIELD_KEY || 'manufacturer_item_number';
+
+    console.log(`📦 Job #${jobId}: Exporting products updated since ${since}...`);
+
+    // Searchable variant IDs per changed product. A product's variants
+    // can span batches, so removals wait until the export is complete.
+    const products = new Map();
+
+    const exported = await shopifyService.bulkFetchUpdatedVariants(
+      since,
+      metafieldNamespace,
+      metafieldKey,
+      async (batch) => {
+        sync.controller.signal.throwIfAborted();
+
+        for (const variant of batch) {
+          if (!products.has(variant.product.id)) products.set(variant.product.id, new Set());
+          if (db.isSearchable(variant)) products.get(variant.product.id).add(variant.id);
+        }
+
+        const batchStart = Date.now();
+        const { indexed } = await db.bulkUpsertVariants(batch.map(toIndexedVariant));
+        writeMs += Date.now() - batchStart;
+        totalIndexed += indexed;
+        processed += batch.length;
+
+        await db.updateSyncJob(jobId, {
+          processed_variants: processed,
+          indexed_variants: totalIndexed,
+          rows_per_second: rowsPerSecond(processed, writeMs)
+        });
+      },
+      {
+        manufacturerMetafield: getManufacturerMetafield(),
+        batchSize: SYNC_BATCH_SIZE,
+        onStatus: (status, objectCount) => {
+          console.log(`📊 Job #${jobId}: Bulk operation ${status}, ${objectCount} objects`);
+        },
+        onDownloadProgress: (progress) => reportDownloadProgress(jobId, progress),
+        onStart: (bulkOperationId) => {
+          sync.bulkOperationId = bulkOperationId;
+        },
+        signal: sync.controller.signal
+      }
+    );
+    sync.controller.signal.throwIfAborted();
+    const deletedProductIds = await shopifyService.fetchDeletedProductIds(since);
+
+    console.log(`📦 Job #${jobId}: ${exported.variants} variants changed, ${deletedProductIds.length} products deleted`);
+    await db.updateSyncJob(jobId, { total_variants: exported.variants });
+
+    // Every variant of a changed product is in the export, so indexed
+    // variants it doesn't list (or lists as unsearchable) are gone
+    let removed = 0;
+
+    for (const [productId, keep] of products) {
+      for (const variantId of await db.getProductVariantIds(productId)) {
+        if (!keep.has(variantId)) {
+          await db.deleteVariant(variantId);
+          removed++;
+        }
+      }
+    }
+
+    for (const productId of deletedProductIds) {
+      const { changes } = await db.deleteProductVariants(productId);
+      removed += changes;
+    }
+
+    await db.setSetting('syncCursor', exported.startedAt);
+
+    await db.completeSyncJob(jobId, 'completed', totalIndexed);
+    console.log(`✅ Job #${jobId}: Incremental sync complete - ${totalIndexed} variants indexed, ${removed} removed`);
+
+  } catch (error) {
+    // Batches written before the cancel stay; the cursor isn't advanced,
+    // so the next incremental sync exports them again
+    if (sync.controller.signal.aborted) {
+      console.log(`🛑 Job #${jobId}: Incremental sync canceled`);
+      await db.completeSyncJob(jobId, 'canceled', totalIndexed, 'Canceled');
+      return;
+    }
+
+    console.error(`❌ Job #${jobId}: Incremental sync failed:`, error);
     await db.completeSyncJob(jobId, 'failed', totalIndexed, error.message);
     throw error;
   }
@@ -133,12 +338,7 @@ router.get('/status/:jobId', async (req, res) => {
   }
 
   try {
-    const job = await new Promise((resolve, reject) => {
-      db.db.get('SELECT * FROM sync_status WHERE id = ?', [req.params.jobId], (err, row) => {
-        if (err) reject(err);
-        else resolve(row);
-      });
-    });
+    const job = await db.getSyncJob(req.params.jobId);
 
     if (!job) {
       return res.status(404).json({ error: 'Job not found' });
@@ -152,6 +352,65 @@ router.get('/status/:jobId', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/sync/cancel/:jobId
+ * 
+ * Cancel a running full or incremental sync. Stops the Shopify bulk
+ * operation and waits for the job to wind down. A canceled full sync
+ * keeps the previous index; an incremental sync keeps the batches it
+ * already wrote and the next one picks up from the same cursor.
+ */
+router.post('/cancel/:jobId', async (req, res) => {
+  if (!db || !shopifyService) {
+    return res.status(500).json({ error: 'Services not initialized' });
+  }
+
+  try {
+    const job = await db.getSyncJob(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (job.status !== 'running') {
+      return res.status(409).json({ error: `Job is already ${job.status}` });
+    }
+
+    if (!['full', 'incremental'].includes(job.sync_type)) {
+      return res.status(409).json({ error: `${job.sync_type} jobs cannot be canceled` });
+    }
+
+    const sync = activeSync?.jobId === job.id ? activeSync : null;
+
+    if (sync) {
+      console.log(`🛑 Canceling sync job #${job.id}...`);
+      sync.controller.abort();
+
+      if (sync.bulkOperationId) {
+        try {
+          await shopifyService.cancelBulkOperation(sync.bulkOperationId);
+        } catch (error) {
+          // The export may already have finished; the abort still stops the job
+          console.warn(`⚠️ Job #${job.id}: Failed to cancel bulk operation:`, error.message);
+        }
+      }
+
+      await sync.done;
+    } else {
+      // Left running by a previous process (e.g. a restart mid-sync)
+      await db.completeSyncJob(job.id, 'canceled', job.indexed_variants, 'Canceled');
+      // The staging tables belong to whichever full sync runs here now
+      if (job.sync_type === 'full' && !activeSync) await db.discardStagedIndex();
+    }
+
+    res.json({ success: true, job: await db.getSyncJob(job.id) });
+
+  } catch (error) {
+    console.error('❌ Cancel sync error:', error);
+    res.status(500).json({ error: 'Failed to cancel sync' });
+  }
+});
+
 /**
  * GET /api/sync/history
  * 
@@ -234,6 +493,63 @@ router.post('/webhook/products-delete', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/sync/webhook/inventory-levels-update
+ * 
+ * Webhook handler for inventory_levels/update events.
+ * Refreshes availability and inventory quantity of the affected variant.
+ */
+router.post('/webhook/inventory-levels-update', async (req, res) => {
+  const hmac = req.get('X-Shopify-Hmac-Sha256');
+  const topic = req.get('X-Shopify-Topic');
+  const shop = req.get('X-Shopify-Shop-Domain');
+
+  console.log(`📨 Webhook received: ${topic} from ${shop}`);
+
+  if (!verifyWebhook(req.body, hmac)) {
+    return res.status(401).send('Unauthorized');
+  }
+
+  res.status(200).send('OK');
+
+  try {
+    await processInventoryUpdate(req.body);
+  } catch (error) {
+    console.error('❌ Inventory webhook error:', error);
+  }
+});
+
+/**
+ * Process an inventory level update webhook
+ * The payload only has one location's level, so the variant's total
+ * availability is re-read from Shopify. Variants outside the index are ignored.
+ */
+async function processInventoryUpdate(inventoryLevel) {
+  if (!db || !shopifyService) {
+    console.error('❌ Services not initialized for webhook');
+    return;
+  }
+
+  const inventoryItemGid = `gid://shopify/InventoryItem/${inventoryLevel.inventory_item_id}`;
+  const indexed = await db.getVariantByInventoryItem(inventoryItemGid);
+
+  if (!indexed) {
+    return;
+  }
+
+  const variant = await shopifyService.fetchInventoryItemVariant(inventoryItemGid);
+  if (!variant) {
+    return;
+  }
+
+  await db.updateVariantInventory(indexed.variant_id, {
+    available_for_sale: variant.availableForSale,
+    inventory_quantity: variant.inventoryQuantity
+  });
+
+  console.log(`📦 Inventory updated: ${indexed.variant_id} -> ${variant.inventoryQuantity} (${variant.availableForSale ? 'available' : 'sold out'})`);
+}
+
 /**
  * Process a product update webhook
  */
@@ -252,14 +568,19 @@ async function processProductUpdate(product) {
     const metafieldNamespace = process.env.MPN_METAFIELD_NAMESPACE || 'custom';
     const metafieldKey = process.env.MPN_METAFIELD_KEY || 'manufacturer_item_number';
     
-    const variants = await shopifyService.fetchProductVariants(productGid, metafieldNamespace, metafieldKey);
+    const variants = await shopifyService.fetchProductVariants(
+      productGid,
+      metafieldNamespace,
+      metafieldKey,
+      getManufacturerMetafield()
+    );
 
     // Update index
     let updated = 0;
     let removed = 0;
 
     for (const variant of variants) {
-      if (variant.mpn) {
+      if (db.isSearchable(variant)) {
         await db.upsertVariant({
           variant_id: variant.id,
           product_id: productGid,
@@ -269,11 +590,20 @@ async function processProductUpdate(product) {
           image_url: variant.image?.url || null,
           mpn: variant.mpn,
           sku: variant.sku,
-          price: variant.price
+          barcode: variant.barcode,
+          vendor: variant.product.vendor,
+          manufacturer: variant.product.manufacturer,
+          price: variant.price,
+          available_for_sale: variant.availableForSale,
+          inventory_quantity: variant.inventoryQuantity,
+          inventory_item_id: variant.inventoryItemId,
+          product_status: variant.product.status,
+          published_at: variant.product.publishedAt,
+          product_created_at: variant.product.createdAt
         });
         updated++;
       } else {
-        // Remove variant if MPN was cleared
+        // Remove variant if its MPN, SKU and barcode were all cleared
         await db.deleteVariant(variant.id);
         removed++;
       }
@@ -286,6 +616,103 @@ async function processProductUpdate(product) {
   }
 }
 
+/**
+ * variant_lookups fields for a variant from a bulk export
+ */
+function toIndexedVariant(v) {
+  return {
+    variant_id: v.id,
+    product_id: v.product.id,
+    product_handle: v.product.handle,
+    product_title: v.product.title,
+    variant_title: v.title,
+    image_url: v.image?.url || v.product.featuredImage?.url || null,
+    mpn: v.mpn,
+    sku: v.sku,
+    barcode: v.barcode,
+    vendor: v.product.vendor,
+    manufacturer: v.product.manufacturer,
+    price: v.price,
+    available_for_sale: v.availableForSale,
+    inventory_quantity: v.inventoryQuantity,
+    inventory_item_id: v.inventoryItemId,
+    product_status: v.product.status,
+    published_at: v.product.publishedAt,
+    product_created_at: v.product.createdAt
+  };
+}
+
+/**
+ * Save bulk download progress on the job (bytes_total is null when the
+ * download has no Content-Length)
+ */
+async function reportDownloadProgress(jobId, { bytes, totalBytes, lines }) {
+  console.log(`📥 Job #${jobId}: ${lines} lines, ${bytes}${totalBytes ? `/${totalBytes}` : ''} bytes`);
+
+  await db.updateSyncJob(jobId, {
+    bytes_downloaded: bytes,
+    bytes_total: totalBytes,
+    lines_processed: lines
+  });
+}
+
+/**
+ * Variants written per second of database time (excludes the export itself)
+ */
+function rowsPerSecond(rows, ms) {
+  return ms > 0 ? Math.round(rows / (ms / 1000)) : null;
+}
+
+/**
+ * 409 body while a sync or normalization rebuild is running
+ */
+function syncRunningError() {
+  return {
+    error: activeSync.type === 'normalize'
+      ? 'A normalization rebuild is running'
+      : 'A sync is already running',
+    jobId: activeSync.jobId,
+    statusUrl: `/api/sync/status/${activeSync.jobId}`
+  };
+}
+
+/**
+ * Take the active sync slot before the first await, so a second request
+ * arriving while the job record is created gets 409. The caller resets
+ * activeSync if the job doesn't start.
+ */
+function claimSync(type) {
+  activeSync = { type, jobId: null, controller: new AbortController(), bulkOperationId: null, done: null };
+  return activeSync;
+}
+
+/**
+ * Run a claimed sync job in the background
+ * run() should stop when sync.controller.signal is aborted
+ * (POST /api/sync/cancel/:jobId).
+ */
+function startSyncJob(sync, jobId, run) {
+  sync.jobId = jobId;
+
+  sync.done = run()
+    .catch(error => {
+      console.error(`❌ Sync job #${jobId} failed:`, error);
+    })
+    .finally(() => {
+      activeSync = null;
+    });
+}
+
+/**
+ * Optional product-level manufacturer metafield (falls back to the vendor)
+ */
+function getManufacturerMetafield() {
+  const namespace = process.env.MANUFACTURER_METAFIELD_NAMESPACE;
+  const key = process.env.MANUFACTURER_METAFIELD_KEY;
+
+  return namespace && key ? { namespace, key } : null;
+}
+
 /**
  * Verify Shopify webhook HMAC
  */
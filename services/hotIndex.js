@@ -0,0 +1,172 @@
+// services/hotIndex.js - In-Memory Search Keys (mirror of the SQLite index)
+
+// Key spaces, each searched with its own normalization:
+//   mpn     - variant MPNs, aliases and previous MPNs (normalizeMpn)
+//   sku     - normalizeSku
+//   barcode - normalizeBarcode
+const KEY_SPACES = ['mpn', 'sku', 'barcode'];
+
+class HotIndex {
+  /**
+   * Holds one row per indexed variant plus its search keys ("postings").
+   * Every space keeps a Map for exact lookups and a sorted key array for
+   * prefix scans. DatabaseManager owns the contents: it rebuilds a
+   * variant's entry from SQLite after every change, so SQLite stays the
+   * source of truth.
+   */
+  constructor() {
+    this.loaded = false;
+    this.variants = new Map();
+    this.spaces = {};
+    this.counters = { hits: 0, misses: 0, fallbacks: 0 };
+    this.clear();
+  }
+
+  /**
+   * Drop every variant (the index stays loaded, just empty)
+   */
+  clear() {
+    this.variants.clear();
+    for (const space of KEY_SPACES) {
+      this.spaces[space] = { keys: new Map(), sorted: [] };
+    }
+  }
+
+  /**
+   * Replace the whole contents in one pass: [{ variantId, row, postings }]
+   * Keys are collected first and each space is sorted once, instead of
+   * inserting every key into the sorted array as setVariant does
+   */
+  load(variants) {
+    this.clear();
+
+    for (const { variantId, row, postings } of variants) {
+      const entry = { row, postings };
+      for (const posting of postings) {
+        posting.entry = entry;
+        const { keys } = this.spaces[posting.space];
+        if (!keys.has(posting.key)) keys.set(posting.key, new Set());
+        keys.get(posting.key).add(posting);
+      }
+      this.variants.set(variantId, entry);
+    }
+
+    for (const space of KEY_SPACES) {
+      this.spaces[space].sorted = [...this.spaces[space].keys.keys()].sort();
+    }
+  }
+
+  /**
+   * Replace a variant's row and postings
+   * postings: [{ space, key, ...match fields }]
+   */
+  setVariant(variantId, row, postings) {
+    this.removeVariant(variantId);
+
+    const entry = { row, postings };
+    for (const posting of postings) {
+      posting.entry = entry;
+      this.addPosting(posting);
+    }
+
+    this.variants.set(variantId, entry);
+  }
+
+  removeVariant(variantId) {
+    const entry = this.variants.get(variantId);
+    if (!entry) return;
+
+    for (const posting of entry.postings) {
+      this.removePosting(posting);
+    }
+
+    this.variants.delete(variantId);
+  }
+
+  /**
+   * Postings whose key equals the term, or starts with it when allowPrefix is set
+   */
+  lookup(space, term, allowPrefix) {
+    const { keys, sorted } = this.spaces[space];
+
+    if (!allowPrefix) {
+      return [...(keys.get(term) || [])];
+    }
+
+    const postings = [];
+    for (let i = lowerBound(sorted, term); i < sorted.length && sorted[i].startsWith(term); i++) {
+      postings.push(...keys.get(sorted[i]));
+    }
+    return postings;
+  }
+
+  /**
+   * Count a lookup: "hit" (answered with results), "miss" (answered,
+   * nothing found) or "fallback" (sent to SQLite)
+   */
+  record(outcome) {
+    const counter = { hit: 'hits', miss: 'misses', fallback: 'fallbacks' }[outcome];
+    this.counters[counter]++;
+  }
+
+  /**
+   * hitRate is the share of lookups answered from memory (hits and
+   * misses) rather than sent to SQLite (fallbacks)
+   */
+  getStats() {
+    const answered = this.counters.hits + this.counters.misses;
+    const lookups = answered + this.counters.fallbacks;
+
+    return {
+      loaded: this.loaded,
+      variants: this.variants.size,
+      keys: KEY_SPACES.reduce((total, space) => total + this.spaces[space].sorted.length, 0),
+      ...this.counters,
+      hitRate: lookups > 0 ? Math.round((answered / lookups) * 1000) / 1000 : null
+    };
+  }
+
+  addPosting(posting) {
+    const { keys, sorted } = this.spaces[posting.space];
+    let postings = keys.get(posting.key);
+
+    if (!postings) {
+      postings = new Set();
+      keys.set(posting.key, postings);
+      sorted.splice(lowerBound(sorted, posting.key), 0, posting.key);
+    }
+
+    postings.add(posting);
+  }
+
+  removePosting(posting) {
+    const { keys, sorted } = this.spaces[posting.space];
+    const postings = keys.get(posting.key);
+    if (!postings) return;
+
+    postings.delete(posting);
+
+    if (postings.size === 0) {
+      keys.delete(posting.key);
+      sorted.splice(lowerBound(sorted, posting.key), 1);
+    }
+  }
+}
+
+/**
+ * First index in a sorted array whose value is >= target
+ */
+function lowerBound(sorted, target) {
+  let low = 0;
+  let high = sorted.length;
+
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (sorted[mid] < target) low = mid + 1;
+    else high = mid;
+  }
+
+  return low;
+}
+
+module.exports = HotIndex;
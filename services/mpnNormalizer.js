@@ -0,0 +1,160 @@
+// services/mpnNormalizer.js - Configurable MPN Normalization Pipeline
+
+// Rule types and the fields each one needs
+const RULE_TYPES = ['stripRegex', 'removePrefix', 'removeSuffix', 'trimLeadingZeros', 'mapChars'];
+
+const MAX_RULES = 20;
+const MAX_PATTERN_LENGTH = 200;
+
+class MpnNormalizer {
+  /**
+   * Rules run in order on the uppercased value, then everything that is
+   * not A-Z / 0-9 is stripped. With no rules this is the original
+   * "7665-PP" -> "7665PP" behaviour.
+   *
+   * [
+   *   { "type": "removePrefix", "value": "ACM-" },       "ACM-7665-PP" -> "7665-PP"
+   *   { "type": "removeSuffix", "value": "/B" },         "7665-PP/B"   -> "7665-PP"
+   *   { "type": "stripRegex", "pattern": "REV\\d+$" },   "7665REV2"    -> "7665"
+   *   { "type": "trimLeadingZeros" },                    "007665"      -> "7665"
+   *   { "type": "mapChars", "map": { "Ø": "0" } }        "76Ø5"        -> "7605"
+   * ]
+   */
+  constructor(rules = []) {
+    this.rules = rules;
+    this.steps = rules.map(rule => MpnNormalizer.compileRule(rule));
+  }
+
+  normalize(value) {
+    if (!value) return null;
+
+    let result = String(value).toUpperCase();
+    for (const step of this.steps) {
+      result = step(result);
+    }
+
+    return result.replace(/[^A-Z0-9]/gi, '').toUpperCase();
+  }
+
+  /**
+   * Turn a rule into a string -> string function
+   */
+  static compileRule(rule) {
+    switch (rule.type) {
+      case 'stripRegex': {
+        const regex = new RegExp(rule.pattern, rule.flags ?? 'gi');
+        return value => value.replace(regex, '');
+      }
+      case 'removePrefix': {
+        const prefix = rule.value.toUpperCase();
+        return value => value.startsWith(prefix) ? value.slice(prefix.length) : value;
+      }
+      case 'removeSuffix': {
+        const suffix = rule.value.toUpperCase();
+        return value => value.endsWith(suffix) ? value.slice(0, -suffix.length) : value;
+      }
+      case 'trimLeadingZeros':
+        // Keep a lone "0" rather than emptying the value
+        return value => value.replace(/^0+(?=.)/, '');
+      case 'mapChars': {
+        const entries = Object.entries(rule.map).map(([from, to]) => [from.toUpperCase(), to]);
+        return value => entries.reduce((result, [from, to]) => result.split(from).join(to), value);
+      }
+      default:
+        throw new Error(`Unknown normalization rule type: ${rule.type}`);
+    }
+  }
+
+  /**
+   * Validate a rule list from the admin
+   * Returns an error message, or null when the rules are valid
+   */
+  static validate(rules) {
+    if (!Array.isArray(rules)) {
+      return 'normalizationRules must be an array';
+    }
+
+    if (rules.length > MAX_RULES) {
+      return `At most ${MAX_RULES} normalization rules are allowed`;
+    }
+
+    for (const [index, rule] of rules.entries()) {
+      const label = `Rule ${index + 1}`;
+
+      if (!rule || !RULE_TYPES.includes(rule.type)) {
+        return `${label}: type must be one of ${RULE_TYPES.join(', ')}`;
+      }
+
+      if (rule.type === 'stripRegex') {
+        if (typeof rule.pattern !== 'string' || !rule.pattern || rule.pattern.length > MAX_PATTERN_LENGTH) {
+          return `${label}: pattern must be a non-empty string of at most ${MAX_PATTERN_LENGTH} characters`;
+        }
+        try {
+          new RegExp(rule.pattern, rule.flags ?? 'gi');
+        } catch (error) {
+          return `${label}: invalid regular expression (${error.message})`;
+        }
+        if (hasNestedQuantifier(rule.pattern)) {
+          return `${label}: nested quantifiers like (A+)+ are not allowed (they can take exponential time)`;
+        }
+      }
+
+      if ((rule.type === 'removePrefix' || rule.type === 'removeSuffix') &&
+          (typeof rule.value !== 'string' || !rule.value)) {
+        return `${label}: value must be a non-empty string`;
+      }
+
+      if (rule.type === 'mapChars') {
+        const entries = rule.map && typeof rule.map === 'object' ? Object.entries(rule.map) : [];
+        if (entries.length === 0 || entries.some(([from, to]) => !from || typeof to !== 'string')) {
+          return `${label}: map must be an object of "from": "to" strings`;
+        }
+      }
+    }
+
+    return null;
+  }
+}
+
+/**
+ * Whether a pattern repeats a group that itself contains a quantifier,
+ * e.g. "(A+)+" or "(\d*-?)*" - the shape behind catastrophic backtracking.
+ * Rules run on every search term, so such patterns are rejected outright.
+ */
+function hasNestedQuantifier(pattern) {
+  // Per open group: whether it contains a quantifier
+  const groups = [];
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '\\') {
+      i++;
+    } else if (char === '[') {
+      // Skip a character class (quantifier characters are literal inside)
+      for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') i++;
+      }
+    } else if (char === '(') {
+      groups.push(false);
+    } else if (char === ')') {
+      const inner = groups.pop();
+      const next = pattern[i + 1];
+
+      if (inner && (next === '*' || next === '+' || next === '{')) {
+        return true;
+      }
+      if (groups.length > 0 && inner) {
+        groups[groups.length - 1] = true;
+      }
+    } else if ((char === '*' || char === '+' || char === '{') && groups.length > 0) {
+      groups[groups.length - 1] = true;
+    }
+  }
+
+  return false;
+}
+
+MpnNormalizer.RULE_TYPES = RULE_TYPES;
+
+module.exports = MpnNormalizer;
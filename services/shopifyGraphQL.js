@@ -1,6 +1,38 @@
 // services/shopifyGraphQL.js - Shopify GraphQL Client with Bulk Operations
 const SHOPIFY_API_VERSION = '2024-01';
 
+/**
+ * GraphQL selection for the optional product-level manufacturer metafield
+ */
+function manufacturerFieldQuery(manufacturerMetafield) {
+  if (!manufacturerMetafield) return '';
+
+  const { namespace, key } = manufacturerMetafield;
+  return `manufacturer: metafield(namespace: "${namespace}", key: "${key}") {
+                value
+              }`;
+}
+
+/**
+ * Wait ms milliseconds; rejects early when signal is aborted
+ */
+function sleep(ms, signal = null) {
+  return new Promise((resolve, reject) => {
+    signal?.throwIfAborted();
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
 class ShopifyGraphQLService {
   constructor(shop, accessToken) {
     this.shop = shop;
@@ -41,17 +73,26 @@ class ShopifyGraphQLService {
 
   /**
    * Start a bulk operation to fetch all products with variants and MPN metafield
-   * Returns the bulk operation ID
+   * manufacturerMetafield ({ namespace, key }) optionally adds a product-level
+   * manufacturer metafield next to the vendor
+   * updatedSince (ISO timestamp) limits the export to products updated after it
+   * Returns { id, createdAt } of the bulk operation
    */
-  async startBulkExport(namespace, key) {
+  async startBulkExport(namespace, key, manufacturerMetafield = null, updatedSince = null) {
+    const productFilter = updatedSince ? `(query: "updated_at:>'${updatedSince}'")` : '';
     const bulkQuery = `
       {
-        products {
+        products${productFilter} {
           edges {
             node {
               id
               title
               handle
+              vendor
+              status
+              publishedAt
+              createdAt
+              ${manufacturerFieldQuery(manufacturerMetafield)}
               featuredImage {
                 url
               }
@@ -61,7 +102,13 @@ class ShopifyGraphQLService {
                     id
                     title
                     sku
+                    barcode
                     price
+                    availableForSale
+                    inventoryQuantity
+                    inventoryItem {
+                      id
+                    }
                     image {
                       url
                     }
@@ -83,6 +130,7 @@ class ShopifyGraphQLService {
           bulkOperation {
             id
             status
+            createdAt
           }
           userErrors {
             field
@@ -101,14 +149,46 @@ class ShopifyGraphQLService {
     const bulkOp = data.bulkOperationRunQuery.bulkOperation;
     console.log(`📦 Bulk operation started: ${bulkOp.id} (${bulkOp.status})`);
     
-    return bulkOp.id;
+    return { id: bulkOp.id, createdAt: bulkOp.createdAt };
+  }
+
+  /**
+   * Cancel a running bulk operation
+   * Returns its status ("CANCELING", or the final status if it already ended)
+   */
+  async cancelBulkOperation(bulkOperationId) {
+    const mutation = `
+      mutation BulkOperationCancel($id: ID!) {
+        bulkOperationCancel(id: $id) {
+          bulkOperation {
+            id
+            status
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    const data = await this.query(mutation, { id: bulkOperationId });
+
+    if (data.bulkOperationCancel.userErrors?.length > 0) {
+      throw new Error(`Bulk operation cancel errors: ${JSON.stringify(data.bulkOperationCancel.userErrors)}`);
+    }
+
+    const bulkOp = data.bulkOperationCancel.bulkOperation;
+    console.log(`🛑 Bulk operation ${bulkOp.id}: ${bulkOp.status}`);
+
+    return bulkOp.status;
   }
 
   /**
    * Poll for bulk operation completion
-   * Returns the download URL when ready
+   * Returns the download URL when ready. Aborting `signal` stops polling.
    */
-  async pollBulkOperation(bulkOperationId, onProgress) {
+  async pollBulkOperation(bulkOperationId, onProgress, signal = null) {
     const query = `
       query BulkOperationStatus($id: ID!) {
         node(id: $id) {
@@ -129,6 +209,8 @@ class ShopifyGraphQLService {
     const maxAttempts = 120; // 10 minutes max (5 sec intervals)
 
     while (attempts < maxAttempts) {
+      signal?.throwIfAborted();
+
       const data = await this.query(query, { id: bulkOperationId });
       const op = data.node;
 
@@ -151,7 +233,7 @@ class ShopifyGraphQLService {
       }
 
       // Wait 5 seconds before polling again
-      await new Promise(resolve => setTimeout(resolve, 5000));
+      await sleep(5000, signal);
       attempts++;
     }
 
@@ -159,126 +241,253 @@ class ShopifyGraphQLService {
   }
 
   /**
-   * Download and parse the bulk operation JSONL file
-   * Returns variants that have an MPN
+   * Stream the bulk operation JSONL file and pass variants to onBatch in
+   * batches (awaited, so reading waits for the database)
+   *
+   * The file is read line by line instead of being buffered whole. Shopify
+   * writes children after their parent but may interleave the children of
+   * different products, so the products seen so far are kept (only the
+   * fields variants need) and a variant whose parent hasn't appeared yet
+   * waits for it.
+   *
+   * options.includeUnsearchable also passes variants without an MPN, SKU
+   * or barcode (skipped otherwise)
+   * options.onProgress({ bytes, totalBytes, lines }) is called about once
+   * a second while downloading and once at the end
+   * options.signal aborts the download
+   * Returns { bytes, lines, products, variants, unsearchable, orphans }
    */
-  async downloadAndParseBulkResults(url) {
-    console.log(`📥 Downloading bulk results...`);
-    
-    const response = await fetch(url);
+  async streamBulkResults(url, onBatch, { includeUnsearchable = false, batchSize = 500, onProgress, signal = null } = {}) {
+    console.log(`📥 Streaming bulk results...`);
+
+    const response = await fetch(url, { signal });
     if (!response.ok) {
       throw new Error(`Failed to download bulk results: ${response.status}`);
     }
 
-    const text = await response.text();
-    const lines = text.trim().split('\n');
-    
-    console.log(`📄 Processing ${lines.length} lines...`);
+    const totalBytes = Number(response.headers.get('content-length')) || null;
+    const stats = { bytes: 0, lines: 0, products: 0, variants: 0, unsearchable: 0, orphans: 0 };
 
-    // Parse JSONL - Shopify returns parent/child relationships
-    // Products come first, then their variants with __parentId
     const products = new Map();
-    const variants = [];
+    const waitingForParent = new Map();
+    let batch = [];
+
+    const flush = async () => {
+      signal?.throwIfAborted();
+      if (batch.length === 0) return;
+      const variants = batch;
+      batch = [];
+      await onBatch(variants);
+    };
+
+    const emit = async (variant, product) => {
+      if (!variant.mpn && !variant.sku && !variant.barcode) {
+        stats.unsearchable++;
+        if (!includeUnsearchable) return;
+      }
+
+      stats.variants++;
+      batch.push({ ...variant, product });
+      if (batch.length >= batchSize) await flush();
+    };
+
+    const handleLine = async (line) => {
+      if (!line.trim()) return;
+      stats.lines++;
 
-    for (const line of lines) {
-      if (!line.trim()) continue;
-      
       const obj = JSON.parse(line);
-      
+
       if (obj.id?.includes('/Product/')) {
-        // This is a product
-        products.set(obj.id, {
+        const product = {
           id: obj.id,
           title: obj.title,
           handle: obj.handle,
+          vendor: obj.vendor,
+          manufacturer: obj.manufacturer?.value || null,
+          status: obj.status,
+          publishedAt: obj.publishedAt,
+          createdAt: obj.createdAt,
           featuredImage: obj.featuredImage
-        });
+        };
+        products.set(obj.id, product);
+        stats.products++;
+
+        for (const variant of waitingForParent.get(obj.id) || []) {
+          await emit(variant, product);
+        }
+        waitingForParent.delete(obj.id);
       } else if (obj.id?.includes('/ProductVariant/')) {
-        // This is a variant
-        variants.push({
+        const variant = {
           id: obj.id,
-          parentId: obj.__parentId,
           title: obj.title,
           sku: obj.sku,
+          barcode: obj.barcode,
           price: obj.price,
+          availableForSale: obj.availableForSale,
+          inventoryQuantity: obj.inventoryQuantity,
+          inventoryItemId: obj.inventoryItem?.id || null,
           image: obj.image,
           mpn: obj.metafield?.value || null
-        });
+        };
+        const product = products.get(obj.__parentId);
+
+        if (product) {
+          await emit(variant, product);
+        } else {
+          if (!waitingForParent.has(obj.__parentId)) waitingForParent.set(obj.__parentId, []);
+          waitingForParent.get(obj.__parentId).push(variant);
+        }
       }
-    }
+    };
 
-    console.log(`📦 Found ${products.size} products, ${variants.length} variants`);
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let reportedAt = Date.now();
 
-    // Filter: only variants with MPN
-    const filteredVariants = [];
-    let skippedNoMpn = 0;
+    for await (const chunk of response.body) {
+      stats.bytes += chunk.length;
+      buffer += decoder.decode(chunk, { stream: true });
 
-    for (const variant of variants) {
-      const product = products.get(variant.parentId);
-      
-      if (!product) {
-        continue; // Orphan variant, skip
+      let start = 0;
+      let newline;
+      while ((newline = buffer.indexOf('\n', start)) !== -1) {
+        await handleLine(buffer.slice(start, newline));
+        start = newline + 1;
       }
+      buffer = buffer.slice(start);
 
-      if (!variant.mpn) {
-        skippedNoMpn++;
-        continue;
+      if (onProgress && Date.now() - reportedAt >= 1000) {
+        reportedAt = Date.now();
+        await onProgress({ bytes: stats.bytes, totalBytes, lines: stats.lines });
       }
+    }
 
-      filteredVariants.push({
-        id: variant.id,
-        title: variant.title,
-        sku: variant.sku,
-        price: variant.price,
-        image: variant.image,
-        mpn: variant.mpn,
-        product: {
-          id: product.id,
-          title: product.title,
-          handle: product.handle,
-          featuredImage: product.featuredImage
-        }
-      });
+    await handleLine(buffer + decoder.decode());
+    await flush();
+
+    if (onProgress) {
+      await onProgress({ bytes: stats.bytes, totalBytes, lines: stats.lines });
+    }
+
+    // Variants whose product never appeared (deleted during the export)
+    for (const variants of waitingForParent.values()) {
+      stats.orphans += variants.length;
     }
 
-    console.log(`✅ ${filteredVariants.length} variants to index`);
-    console.log(`⏭️ Skipped: ${skippedNoMpn} variants without MPN`);
+    console.log(`📦 Streamed ${stats.lines} lines (${stats.bytes} bytes): ${stats.products} products, ${stats.variants} variants`);
+    console.log(`⏭️ ${includeUnsearchable ? 'Without' : 'Skipped'} MPN, SKU or barcode: ${stats.unsearchable}, orphaned: ${stats.orphans}`);
+
+    return stats;
+  }
+
+  /**
+   * Full bulk sync: start operation, poll, then stream variants with an
+   * MPN, SKU or barcode to onBatch
+   * options: manufacturerMetafield, batchSize, onStatus(status, objectCount),
+   * onDownloadProgress({ bytes, totalBytes, lines }), onStart(bulkOperationId)
+   * and signal (an AbortSignal that stops polling and the download)
+   * Returns the streamBulkResults stats plus startedAt, the bulk
+   * operation's createdAt on Shopify's clock (the cursor for the next
+   * incremental export)
+   */
+  async bulkFetchVariants(namespace, key, onBatch, options = {}) {
+    return this.runBulkExport(namespace, key, onBatch, options);
+  }
 
-    return filteredVariants;
+  /**
+   * Incremental bulk sync: every variant of the products updated after
+   * `since` (ISO timestamp), including variants without an MPN, SKU or
+   * barcode so the caller can drop them from the index. Same options as bulkFetchVariants.
+   */
+  async bulkFetchUpdatedVariants(since, namespace, key, onBatch, options = {}) {
+    return this.runBulkExport(namespace, key, onBatch, { ...options, updatedSince: since, includeUnsearchable: true });
   }
 
   /**
-   * Full bulk sync: start operation, poll, download, parse
-   * Returns array of variants ready to index
+   * Start, poll and stream one bulk export (see bulkFetchVariants)
    */
-  async bulkFetchVariants(namespace, key, onProgress) {
+  async runBulkExport(namespace, key, onBatch, options) {
+    const { manufacturerMetafield = null, updatedSince = null, onStatus, onStart, onDownloadProgress, ...streamOptions } = options;
+
     // Start the bulk operation
-    const bulkOpId = await this.startBulkExport(namespace, key);
+    const { id: bulkOpId, createdAt: startedAt } = await this.startBulkExport(namespace, key, manufacturerMetafield, updatedSince);
+    if (onStart) onStart(bulkOpId);
+
+    // Aborted while the operation was being created, before the caller
+    // had an ID to cancel: stop it here so it doesn't keep running
+    if (streamOptions.signal?.aborted) {
+      await this.cancelBulkOperation(bulkOpId).catch(error => {
+        console.warn(`⚠️ Failed to cancel bulk operation ${bulkOpId}:`, error.message);
+      });
+      streamOptions.signal.throwIfAborted();
+    }
 
     // Poll until complete
-    const downloadUrl = await this.pollBulkOperation(bulkOpId, onProgress);
+    const downloadUrl = await this.pollBulkOperation(bulkOpId, onStatus, streamOptions.signal);
 
     if (!downloadUrl) {
       console.log('⚠️ Bulk operation completed but no data URL (empty result set?)');
-      return [];
+      return { bytes: 0, lines: 0, products: 0, variants: 0, unsearchable: 0, orphans: 0, startedAt };
     }
 
     // Download and parse
-    const variants = await this.downloadAndParseBulkResults(downloadUrl);
+    const stats = await this.streamBulkResults(downloadUrl, onBatch, { ...streamOptions, onProgress: onDownloadProgress });
+    return { ...stats, startedAt };
+  }
 
-    return variants;
+  /**
+   * GIDs of the products deleted after `since` (ISO timestamp)
+   */
+  async fetchDeletedProductIds(since) {
+    const query = `
+      query DeletedProducts($query: String!, $after: String) {
+        deletionEvents(first: 250, after: $after, subjectTypes: [PRODUCT], query: $query) {
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+          edges {
+            node {
+              subjectId
+            }
+          }
+        }
+      }
+    `;
+
+    const productIds = [];
+    let after = null;
+
+    do {
+      const data = await this.query(query, { query: `occurred_at:>'${since}'`, after });
+      const { edges, pageInfo } = data.deletionEvents;
+
+      for (const { node } of edges) {
+        const id = String(node.subjectId);
+        productIds.push(id.startsWith('gid://') ? id : `gid://shopify/Product/${id}`);
+      }
+
+      after = pageInfo.hasNextPage ? pageInfo.endCursor : null;
+    } while (after);
+
+    return productIds;
   }
 
   /**
    * Fetch variants for a specific product (for webhook updates)
    */
-  async fetchProductVariants(productGid, namespace, key) {
+  async fetchProductVariants(productGid, namespace, key, manufacturerMetafield = null) {
     const query = `
       query GetProductVariants($productId: ID!, $namespace: String!, $key: String!) {
         product(id: $productId) {
           id
           title
           handle
+          vendor
+          status
+          publishedAt
+          createdAt
+          ${manufacturerFieldQuery(manufacturerMetafield)}
           featuredImage {
             url
           }
@@ -288,7 +497,13 @@ class ShopifyGraphQLService {
                 id
                 title
                 sku
+                barcode
                 price
+                availableForSale
+                inventoryQuantity
+                inventoryItem {
+                  id
+                }
                 image {
                   url
                 }
@@ -315,22 +530,50 @@ class ShopifyGraphQLService {
     return data.product.variants.edges.map(edge => ({
       ...edge.node,
       mpn: edge.node.metafield?.value || null,
+      inventoryItemId: edge.node.inventoryItem?.id || null,
       product: {
         id: data.product.id,
         title: data.product.title,
         handle: data.product.handle,
+        vendor: data.product.vendor,
+        manufacturer: data.product.manufacturer?.value || null,
+        status: data.product.status,
+        publishedAt: data.product.publishedAt,
+        createdAt: data.product.createdAt,
         featuredImage: data.product.featuredImage
       }
     }));
   }
 
   /**
-   * Register webhooks for product updates
+   * Fetch availability of the variant behind an inventory item
+   * (for inventory_levels/update webhooks, which only carry one location's level)
+   */
+  async fetchInventoryItemVariant(inventoryItemGid) {
+    const query = `
+      query GetInventoryItemVariant($id: ID!) {
+        inventoryItem(id: $id) {
+          variant {
+            id
+            availableForSale
+            inventoryQuantity
+          }
+        }
+      }
+    `;
+
+    const data = await this.query(query, { id: inventoryItemGid });
+    return data.inventoryItem?.variant || null;
+  }
+
+  /**
+   * Register webhooks for product and inventory updates
    */
   async registerWebhooks(hostUrl) {
     const webhooks = [
       { topic: 'PRODUCTS_UPDATE', path: '/api/sync/webhook/products-update' },
-      { topic: 'PRODUCTS_DELETE', path: '/api/sync/webhook/products-delete' }
+      { topic: 'PRODUCTS_DELETE', path: '/api/sync/webhook/products-delete' },
+      { topic: 'INVENTORY_LEVELS_UPDATE', path: '/api/sync/webhook/inventory-levels-update' }
     ];
 
     const results = [];